@@ -17,7 +17,64 @@
  *   const adapter = createOpenClawAdapter({ agentId: "researcher" });
  */
 
-import { HyperStackClient } from "../src/client.js";
+import { HyperStackClient, TASK_STATUSES } from "../src/client.js";
+import {
+  HyperStackAuthError,
+  NotFoundError,
+  PlanLimitError,
+  RateLimitError,
+  NetworkError,
+  SchemaError,
+} from "../src/errors.js";
+import { coerceArgs, signature } from "../src/params.js";
+
+// "target" or "target:relation"
+const LINK_PATTERN = "^[^:\\s][^:]*(:\\s*[^:\\s]+\\s*)?$";
+
+/**
+ * A next step for the agent, by error type.
+ * @private
+ */
+function errorHint(err) {
+  if (err instanceof HyperStackAuthError) return "Set HYPERSTACK_API_KEY or run: npx hyperstack-core login";
+  if (err instanceof NotFoundError) return "Check the slug — hs_search finds cards by keyword";
+  if (err instanceof PlanLimitError) return "This feature isn't on the workspace's plan — see https://cascadeai.dev/hyperstack";
+  if (err instanceof RateLimitError) {
+    return err.retryAfter ? `Retry in ${Math.ceil(err.retryAfter / 1000)}s` : "Wait a moment and retry";
+  }
+  if (err instanceof NetworkError) {
+    return err.timeout ? "The API timed out — retry shortly" : "Check connectivity and HYPERSTACK_BASE_URL";
+  }
+  if (err instanceof SchemaError) return "Use a cardType, status and relations from .hyperstack/config.json";
+  return null;
+}
+
+/**
+ * Wrap a tool implementation: coerce and validate arguments against
+ * `parameters` first, and turn thrown errors into `{ ok: false, error, hint }`
+ * results so a bad call never throws into the agent loop. The returned
+ * function carries `description` and `parameters` for registration.
+ * @private
+ */
+function defineTool(name, { description, parameters }, run) {
+  const tool = async (rawArgs = {}) => {
+    const { args, errors } = coerceArgs(rawArgs, parameters);
+    if (errors.length) {
+      return failure(`Invalid arguments for ${name}: ${errors.join("; ")}`, `Call as ${signature(name, parameters)}`);
+    }
+    try {
+      return { ok: true, ...(await run(args)) };
+    } catch (err) {
+      return failure(err.message, errorHint(err));
+    }
+  };
+  Object.defineProperty(tool, "name", { value: name });
+  return Object.assign(tool, { description, parameters });
+}
+
+function failure(error, hint) {
+  return { ok: false, error, hint, text: hint ? `${error}\n${hint}` : error };
+}
 
 /**
  * Create an OpenClaw-compatible adapter that provides tools
@@ -26,37 +83,60 @@ import { HyperStackClient } from "../src/client.js";
  * @param {object} opts
  * @param {string} opts.agentId — this agent's unique ID
  * @param {string} [opts.apiKey] — HyperStack API key
+ * @param {string} [opts.profile] — saved profile to take the key, server and workspace from
  * @param {string} [opts.workspace] — workspace slug
+ * @param {string} [opts.baseUrl] — API base URL
+ * @param {boolean|object} [opts.schema] — enforce the workspace schema on hs_store/hs_decide
+ * @param {boolean|object[]} [opts.rules] — report template rule warnings from hs_store
+ * @param {"write"|"normalize"} [opts.inverseLinks] — keep blocks/blocked_by links paired
  */
 function createOpenClawAdapter(opts = {}) {
   const agentId = opts.agentId || process.env.OPENCLAW_AGENT_ID || "main";
   
   const client = new HyperStackClient({
     apiKey: opts.apiKey,
+    profile: opts.profile,
+    baseUrl: opts.baseUrl,
     workspace: opts.workspace,
     agentId,
+    schema: opts.schema,
+    rules: opts.rules,
+    inverseLinks: opts.inverseLinks,
   });
 
+  // Cards loaded at session start — reported back on session end
+  let sessionCardSlugs = [];
+
   return {
     client,
     agentId,
 
     /**
      * Tools that get exposed to the OpenClaw agent.
-     * These can be called via OpenClaw's tool system.
+     * These can be called via OpenClaw's tool system. Each tool has
+     * `description` and `parameters` (JSON Schema) properties and resolves
+     * to `{ ok: true, text, ... }` or `{ ok: false, error, hint, text }`.
      */
     tools: {
-      /**
-       * Search the shared knowledge graph.
-       */
-      async hs_search({ query }) {
-        const result = await client.search(query);
+      hs_search: defineTool("hs_search", {
+        description: "Search the shared knowledge graph for cards matching a query.",
+        parameters: {
+          type: "object",
+          properties: {
+            query: { type: "string", description: "What to look for" },
+            sortBy: { type: "string", enum: ["utility"], description: "Rank by learned utility instead of relevance" },
+          },
+          required: ["query"],
+        },
+      }, async ({ query, sortBy }) => {
+        const result = await client.search(query, { sortBy });
         const cards = result.results || [];
-        if (!cards.length) return { text: "No matching cards found." };
+        if (!cards.length) return { text: "No matching cards found.", cards: [] };
 
         return {
           text: cards.slice(0, 5).map(c => {
             let line = `[${c.slug}] ${c.title} (${c.cardType || "general"})`;
+            if (c.superseded) line += ` — superseded by [${c.supersededBy}]`;
             if (c.body) line += `\n  ${c.body.slice(0, 200)}`;
             if (c.links?.length) {
               line += `\n  Links: ${c.links.map(l => `${l.relation}→${l.target}`).join(", ")}`;
@@ -65,63 +145,109 @@ function createOpenClawAdapter(opts = {}) {
           }).join("\n\n"),
           cards,
         };
-      },
-
-      /**
-       * Store a card in the shared graph. Auto-tags with agent ID.
-       */
-      async hs_store({ slug, title, body, type, links, keywords }) {
-        const parsedLinks = [];
-        if (links) {
-          // Accept "target:relation,target:relation" format
-          for (const l of (typeof links === "string" ? links.split(",") : links)) {
-            if (typeof l === "string") {
-              const [target, relation] = l.trim().split(":");
-              parsedLinks.push({ target: target.trim(), relation: (relation || "related").trim() });
-            } else {
-              parsedLinks.push(l);
-            }
-          }
-        }
+      }),
 
-        const result = await client.store({
+      // Auto-tags with agent ID; provenance fields are checked by the client
+      hs_store: defineTool("hs_store", {
+        description: "Create or update a card in the shared graph. Cards are tagged with this agent's ID.",
+        parameters: {
+          type: "object",
+          properties: {
+            slug: { type: "string", description: "Unique card identifier, e.g. use-clerk" },
+            title: { type: "string", description: "Short title" },
+            body: { type: "string", description: "2-5 sentence description" },
+            type: { type: "string", description: "Card type, e.g. task, decision, blocker, general" },
+            status: { type: "string", description: "Status, stored as meta.status (tasks need one: todo, in-progress, blocked, done, cancelled)" },
+            links: {
+              type: "array",
+              description: 'Typed relations: ["target:relation", ...] or "target:relation,target:relation"',
+              items: {
+                description: '"target:relation" or { target, relation }',
+                anyOf: [
+                  { type: "string", pattern: LINK_PATTERN, description: "target:relation" },
+                  {
+                    type: "object",
+                    properties: { target: { type: "string" }, relation: { type: "string" } },
+                    required: ["target"],
+                  },
+                ],
+              },
+            },
+            keywords: { type: "array", items: { type: "string" }, description: "Search terms" },
+            confidence: { type: "number", minimum: 0, maximum: 1, description: "How certain the writer is" },
+            truthStratum: { type: "string", enum: ["draft", "hypothesis", "confirmed"] },
+            verifiedBy: { type: "string", description: "Who or what confirmed this" },
+            pinned: { type: "boolean", description: "Never prune this card" },
+            ttl: { type: "string", description: 'Expiry: "30m", "24h", "7d", "2w" or an ISO timestamp' },
+          },
+          required: ["slug", "title"],
+        },
+      }, async ({ slug, title, body, type, status, links = [], keywords = [], ...provenance }) => {
+        const card = {
           slug,
           title,
           body: body || "",
           cardType: type || "general",
-          keywords: typeof keywords === "string" ? keywords.split(",").map(k => k.trim()) : (keywords || []),
-          links: parsedLinks,
-        });
+          keywords,
+          links: links.map(l => {
+            if (typeof l !== "string") return { target: l.target, relation: l.relation || "related" };
+            const [target, relation] = l.split(":");
+            return { target: target.trim(), relation: (relation || "related").trim() };
+          }),
+          ...(status && { meta: { status } }),
+          ...provenance,
+        };
+
+        const result = await client.store(card);
+        const warnings = (result.warnings || []).map(w => `\n⚠️ ${w.rule}: ${w.suggest}`).join("");
 
         return {
-          text: `${result.updated ? "Updated" : "Created"} [${slug}]: ${title}`,
+          text: `${result.updated ? "Updated" : "Created"} [${slug}]: ${title}${warnings}`,
           result,
         };
-      },
+      }),
 
-      /**
-       * Record a decision with full provenance.
-       */
-      async hs_decide({ slug, title, rationale, affects, blocks }) {
+      hs_decide: defineTool("hs_decide", {
+        description: "Record a decision with its rationale, what it affects and what it blocks.",
+        parameters: {
+          type: "object",
+          properties: {
+            slug: { type: "string", description: "Unique decision identifier" },
+            title: { type: "string", description: "The decision" },
+            rationale: { type: "string", description: "Why it was made" },
+            affects: { type: "array", items: { type: "string" }, description: "Slugs of cards this decision affects" },
+            blocks: { type: "array", items: { type: "string" }, description: "Slugs of cards this decision blocks" },
+            supersedes: { type: "string", description: "Slug of an earlier decision this one replaces" },
+          },
+          required: ["slug", "title"],
+        },
+      }, async ({ slug, title, rationale, affects = [], blocks = [], supersedes }) => {
         const result = await client.decide({
           slug,
           title,
           body: rationale,
           decidedBy: `agent-${agentId}`,
-          affects: affects ? (typeof affects === "string" ? affects.split(",").map(s => s.trim()) : affects) : [],
-          blocks: blocks ? (typeof blocks === "string" ? blocks.split(",").map(s => s.trim()) : blocks) : [],
+          affects,
+          blocks,
+          supersedes,
         });
 
+        let text = `Decision recorded: [${slug}] ${title} (by ${agentId})`;
+        if (result.superseded) text += `\nSupersedes [${result.superseded}]`;
         return {
-          text: `Decision recorded: [${slug}] ${title} (by ${agentId})`,
+          text,
           result,
         };
-      },
+      }),
 
-      /**
-       * Check what blocks a task/card.
-       */
-      async hs_blockers({ slug }) {
+      hs_blockers: defineTool("hs_blockers", {
+        description: "List the cards that block a task or card.",
+        parameters: {
+          type: "object",
+          properties: { slug: { type: "string", description: "Card to check" } },
+          required: ["slug"],
+        },
+      }, async ({ slug }) => {
         const result = await client.blockers(slug);
         const blockers = result.blockers || [];
 
@@ -134,16 +260,50 @@ function createOpenClawAdapter(opts = {}) {
             blockers.map(b => `  [${b.slug}] ${b.title || "?"}`).join("\n"),
           blockers,
         };
-      },
-
-      /**
-       * Traverse the graph from a card.
-       */
-      async hs_graph({ from, depth, relation }) {
-        const result = await client.graph(from, {
-          depth: depth || 2,
-          relation: relation || undefined,
-        });
+      }),
+
+      hs_task_update: defineTool("hs_task_update", {
+        description: "Change a task's status and/or assignee. Status moves follow the task lifecycle " +
+          "(todo → in-progress → done; blocked/cancelled; done and cancelled reopen to todo).",
+        parameters: {
+          type: "object",
+          properties: {
+            slug: { type: "string", description: "Task slug" },
+            status: { type: "string", enum: TASK_STATUSES, description: "New status" },
+            assignee: { type: "string", description: 'Agent ID to assign, or "none" to unassign' },
+          },
+          required: ["slug"],
+        },
+      }, async ({ slug, status, assignee }) => {
+        if (!status && !assignee) {
+          return failure("Nothing to update", "Pass status, assignee, or both");
+        }
+        const changes = [];
+        if (assignee) {
+          const result = await client.assign(slug, assignee === "none" ? null : assignee);
+          changes.push(result.assignee ? `assigned to ${result.assignee}` : "unassigned");
+        }
+        if (status) {
+          const result = await client.setStatus(slug, status);
+          changes.push(`${result.from} → ${result.to}`);
+        }
+        return { text: `Task [${slug}]: ${changes.join(", ")}` };
+      }),
+
+      hs_graph: defineTool("hs_graph", {
+        description: "Traverse the graph from a card and return the connected nodes and edges.",
+        parameters: {
+          type: "object",
+          properties: {
+            from: { type: "string", description: "Starting card slug" },
+            depth: { type: "integer", minimum: 1, maximum: 3, description: "Hops to follow (default 2)" },
+            relation: { type: "string", description: "Only follow this relation" },
+            weightBy: { type: "string", enum: ["utility"], description: "Rank nodes by learned utility" },
+          },
+          required: ["from"],
+        },
+      }, async ({ from, depth = 2, relation, weightBy }) => {
+        const result = await client.graph(from, { depth, relation, weightBy });
 
         const nodes = result.nodes || [];
         const edges = result.edges || [];
@@ -161,12 +321,32 @@ function createOpenClawAdapter(opts = {}) {
         ).join("\n");
 
         return { text, nodes, edges };
-      },
+      }),
 
-      /**
-       * List all cards by this agent.
-       */
-      async hs_my_cards() {
+      hs_feedback: defineTool("hs_feedback", {
+        description: "Report whether the cards in context helped a task succeed.",
+        parameters: {
+          type: "object",
+          properties: {
+            cardSlugs: { type: "array", items: { type: "string" }, description: "Cards that were in context" },
+            outcome: { type: "string", enum: ["success", "failure"] },
+            taskId: { type: "string", description: "Task the outcome belongs to" },
+          },
+          required: ["cardSlugs", "outcome"],
+        },
+      }, async ({ cardSlugs, outcome, taskId }) => {
+        const result = await client.feedback({ cardSlugs, outcome, taskId });
+
+        return {
+          text: `Feedback recorded: ${outcome} for ${result.cardsAffected ?? cardSlugs.length} card(s)`,
+          result,
+        };
+      }),
+
+      hs_my_cards: defineTool("hs_my_cards", {
+        description: "List every card written by this agent.",
+        parameters: { type: "object", properties: {} },
+      }, async () => {
         const result = await client.agentCards(agentId);
         const cards = result.results || [];
 
@@ -175,7 +355,7 @@ function createOpenClawAdapter(opts = {}) {
             cards.map(c => `  [${c.slug}] ${c.title}`).join("\n"),
           cards,
         };
-      },
+      }),
     },
 
     /**
@@ -192,6 +372,7 @@ function createOpenClawAdapter(opts = {}) {
 
       // Load recent context for this agent
       const context = await client.search(`agent:${agentId}`);
+      sessionCardSlugs = (context.results || []).map(c => c.slug);
       return {
         cards: context.results || [],
         text: `HyperStack: ${(context.results || []).length} cards loaded for agent "${agentId}"`,
@@ -200,9 +381,16 @@ function createOpenClawAdapter(opts = {}) {
 
     /**
      * Hook: called when agent session ends.
-     * Good place to save working state.
+     * Good place to save working state. Pass `outcome` ("success" or
+     * "failure") to report utility feedback for the cards loaded at start.
      */
-    async onSessionEnd({ summary }) {
+    async onSessionEnd({ summary, outcome, taskId }) {
+      let feedback = null;
+      if (outcome && sessionCardSlugs.length) {
+        feedback = await client.feedback({ cardSlugs: sessionCardSlugs, outcome, taskId });
+        sessionCardSlugs = [];
+      }
+
       if (summary) {
         await client.store({
           slug: `session-${agentId}-${Date.now()}`,
@@ -213,6 +401,8 @@ function createOpenClawAdapter(opts = {}) {
           keywords: ["session", "summary"],
         });
       }
+
+      return { feedback };
     },
   };
 }
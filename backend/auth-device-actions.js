@@ -2,28 +2,199 @@
 // OAUTH DEVICE FLOW — Add these actions to your existing auth.js
 // 
 // This implements OAuth 2.0 Device Authorization Grant (RFC 8628)
-// Perfect for CLI/VPS/headless environments where users can't 
+// Perfect for CLI/VPS/headless environments where users can't
 // do browser redirects. User runs `npx hyperstack-core login`,
 // gets a URL + code, opens browser, approves, CLI gets token.
-//
+// 
 // HOW TO ADD: Paste these handlers into your existing auth.js
 // before the final `return error(res, "Method not allowed", 405);`
+//
+// Each approval mints a new API key for that device, scoped to the
+// workspaces and permission the user picked. Only a hash is stored:
+//
+//   model DeviceKey {
+//     id         String    @id @default(cuid())
+//     userId     String
+//     keyHash    String    @unique
+//     prefix     String                  // "hs_ab12c", for display
+//     hostname   String?
+//     platform   String?
+//     cliVersion String?
+//     workspaces String[]                // workspace slugs
+//     permission String                  // "read" | "write"
+//     createdAt  DateTime  @default(now())
+//     lastUsedAt DateTime?
+//     revokedAt  DateTime?
+//   }
+//
+// Your API-key middleware should try findDeviceKey() before the account
+// key, and check deviceKeyAllows() on every workspace request.
 // ══════════════════════════════════════════════════════════════
 
-// In-memory store for device codes (use Redis in production if needed)
-// Vercel serverless: this works because polling hits same instance within TTL
-const deviceCodes = new Map();
+var DEVICE_CODE_TTL = 600000; // 10 minutes
+var POLL_INTERVAL = 5; // seconds, RFC 8628 default
+var SLOW_DOWN_STEP = 5; // seconds added to the interval on each slow_down
+var POLL_GRACE = 1000; // ms of clock slack allowed between polls
+var APPROVE_WINDOW = 900000; // 15 minutes
+var APPROVE_IP_LIMIT = 10; // wrong codes per IP per window
+var APPROVE_CODE_LIMIT = 5; // attempts on one code before it's burned
+var DEVICE_PERMISSIONS = ["read", "write"];
+var DEVICE_FIELD_MAX = 100; // chars kept from each CLI-reported field
+// Proxies in front of this server that append to X-Forwarded-For (Vercel,
+// Nginx: 1). 0 trusts no header and keys rate limits on the socket address.
+var TRUSTED_PROXY_HOPS = Number(process.env.TRUSTED_PROXY_HOPS || 0);
 
-// Clean expired codes every 5 min
-if (typeof setInterval !== "undefined") {
-  setInterval(function () {
-    var now = Date.now();
-    for (var entry of deviceCodes) {
-      if (now > entry[1].expiresAt) deviceCodes.delete(entry[0]);
+// ── Device code store ──
+// Codes live in a key-value store with Redis semantics so every serverless
+// instance sees the same state. Each step is one atomic command:
+//
+//   dc:<device_code>        { userCode, device, createdAt, expiresAt }
+//   uc:<user_code>          device_code                     (SET NX — no collisions)
+//   decision:<device_code>  { status, userId }              (SET NX — first approve/deny wins)
+//   grant:<device_code>     { userId, apiKey, keyId, ... }  (GETDEL — handed out exactly once)
+//   poll:<device_code>      set for one interval per poll   (SET NX — a hit means too fast)
+//   slow:<device_code>      seconds added by slow_down      (INCRBY)
+//   rl:<key>                attempt counter                 (INCR + PEXPIRE)
+//
+// `kv` needs get, set(key, value, { px, nx }), getdel, del, incr, incrby and
+// pexpire — @vercel/kv and @upstash/redis work as-is. createMemoryKv() is the
+// single-process stand-in, for local servers and tests.
+
+function createMemoryKv() {
+  var data = new Map();
+
+  function live(key) {
+    var item = data.get(key);
+    if (item && item.expiresAt !== null && Date.now() >= item.expiresAt) {
+      data.delete(key);
+      return null;
     }
-  }, 300000);
+    return item || null;
+  }
+
+  var kv = {
+    get: async function (key) {
+      var item = live(key);
+      return item ? item.value : null;
+    },
+    set: async function (key, value, opts) {
+      opts = opts || {};
+      if (opts.nx && live(key)) return null;
+      data.set(key, { value: value, expiresAt: opts.px ? Date.now() + opts.px : null });
+      return "OK";
+    },
+    getdel: async function (key) {
+      var item = live(key);
+      data.delete(key);
+      return item ? item.value : null;
+    },
+    del: async function () {
+      var removed = 0;
+      for (var i = 0; i < arguments.length; i++) {
+        if (live(arguments[i])) removed++;
+        data.delete(arguments[i]);
+      }
+      return removed;
+    },
+    incrby: async function (key, n) {
+      var item = live(key);
+      var value = (item ? Number(item.value) : 0) + n;
+      data.set(key, { value: value, expiresAt: item ? item.expiresAt : null });
+      return value;
+    },
+    incr: async function (key) {
+      return kv.incrby(key, 1);
+    },
+    pexpire: async function (key, ms) {
+      var item = live(key);
+      if (!item) return 0;
+      item.expiresAt = Date.now() + ms;
+      return 1;
+    },
+  };
+
+  // Drop expired keys every 5 min
+  if (typeof setInterval !== "undefined") {
+    var sweep = setInterval(function () {
+      for (var key of data.keys()) live(key);
+    }, 300000);
+    if (sweep.unref) sweep.unref();
+  }
+
+  return kv;
+}
+
+function createDeviceStore(kv) {
+  // Some clients hand back parsed JSON, others the raw string
+  function parse(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === "string" ? JSON.parse(value) : value;
+  }
+
+  return {
+    // false when the user code is already taken
+    create: async function (deviceCode, entry) {
+      var claimed = await kv.set("uc:" + entry.userCode, deviceCode, { px: DEVICE_CODE_TTL, nx: true });
+      if (!claimed) return false;
+      await kv.set("dc:" + deviceCode, JSON.stringify(entry), { px: DEVICE_CODE_TTL });
+      return true;
+    },
+    find: async function (deviceCode) {
+      return parse(await kv.get("dc:" + deviceCode));
+    },
+    findByUserCode: async function (userCode) {
+      return kv.get("uc:" + userCode);
+    },
+    // Records an approve/deny; false if the code was already decided
+    decide: async function (deviceCode, decision, ttl) {
+      var ok = await kv.set("decision:" + deviceCode, JSON.stringify(decision), { px: ttl, nx: true });
+      return !!ok;
+    },
+    // Undo a decision whose follow-up failed, so the code can be used again
+    undecide: async function (deviceCode) {
+      await kv.del("decision:" + deviceCode);
+    },
+    decision: async function (deviceCode) {
+      return parse(await kv.get("decision:" + deviceCode));
+    },
+    grant: async function (deviceCode, grant, ttl) {
+      await kv.set("grant:" + deviceCode, JSON.stringify(grant), { px: ttl });
+    },
+    // The grant, exactly once across all instances
+    consume: async function (deviceCode) {
+      return parse(await kv.getdel("grant:" + deviceCode));
+    },
+    // { tooFast, interval } — a poll inside the interval widens it (RFC 8628 §3.5)
+    checkPoll: async function (deviceCode) {
+      var interval = POLL_INTERVAL + Number((await kv.get("slow:" + deviceCode)) || 0);
+      var ok = await kv.set("poll:" + deviceCode, "1", { px: interval * 1000 - POLL_GRACE, nx: true });
+      if (ok) return { tooFast: false, interval: interval };
+      var added = await kv.incrby("slow:" + deviceCode, SLOW_DOWN_STEP);
+      if (added === SLOW_DOWN_STEP) await kv.pexpire("slow:" + deviceCode, DEVICE_CODE_TTL);
+      return { tooFast: true, interval: POLL_INTERVAL + added };
+    },
+    // Count one attempt; returns the attempts so far in the current window
+    hit: async function (key, windowMs) {
+      var count = await kv.incr("rl:" + key);
+      if (count === 1) await kv.pexpire("rl:" + key, windowMs);
+      return count;
+    },
+    attempts: async function (key) {
+      return Number((await kv.get("rl:" + key)) || 0);
+    },
+    remove: async function (deviceCode, userCode) {
+      await kv.del("dc:" + deviceCode, "uc:" + userCode, "decision:" + deviceCode,
+        "grant:" + deviceCode, "poll:" + deviceCode, "slow:" + deviceCode);
+    },
+  };
 }
 
+// Shared KV when one is configured (Vercel KV / Upstash), else in-process —
+// fine for a single self-hosted server, not for serverless
+var deviceStore = createDeviceStore(
+  process.env.KV_REST_API_URL ? require("@vercel/kv").kv : createMemoryKv()
+);
+
 function generateCode(len) {
   var chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no I,O,0,1 for readability
   var code = "";
@@ -35,12 +206,128 @@ function generateCode(len) {
   return code;
 }
 
+// Each trusted proxy appends the address it received the request from, so
+// the client's address is TRUSTED_PROXY_HOPS entries from the right.
+// Anything further left was sent by the client and can be forged.
+function clientIp(req) {
+  var hops = (req.headers["x-forwarded-for"] || "").split(",")
+    .map(function (hop) { return hop.trim(); })
+    .filter(Boolean);
+  if (TRUSTED_PROXY_HOPS > 0 && hops.length >= TRUSTED_PROXY_HOPS) {
+    return hops[hops.length - TRUSTED_PROXY_HOPS];
+  }
+  return (req.socket && req.socket.remoteAddress) || "unknown";
+}
+
+function tooManyAttempts(res, message, retryAfterMs) {
+  res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  return error(res, message, 429);
+}
+
+// ── Brute-force guard for device-info / device-approve / device-deny ──
+// User codes are 8 characters. Guessing is throttled by the wrong codes
+// each client IP may send (see clientIp). Separately, a live code accepts
+// only a few approve/deny attempts before it's burned and the CLI has to
+// start over — that doesn't slow a search, it caps how long a code that
+// has leaked stays usable. Lookups don't count against the code, so
+// reloading the approval page can't burn it. Returns the device code, or
+// null once a response has been sent.
+async function lookupUserCode(req, res, userCode, countAttempt) {
+  var ipKey = "approve-ip:" + clientIp(req);
+  if (await deviceStore.attempts(ipKey) >= APPROVE_IP_LIMIT) {
+    tooManyAttempts(res, "Too many attempts. Try again later.", APPROVE_WINDOW);
+    return null;
+  }
+
+  var deviceCode = await deviceStore.findByUserCode(userCode);
+  if (!deviceCode) {
+    await deviceStore.hit(ipKey, APPROVE_WINDOW);
+    error(res, "Invalid or expired code", 404);
+    return null;
+  }
+
+  var attempts = countAttempt
+    ? await deviceStore.hit("approve-code:" + userCode, APPROVE_WINDOW)
+    : await deviceStore.attempts("approve-code:" + userCode);
+  if (attempts > APPROVE_CODE_LIMIT) {
+    await deviceStore.decide(deviceCode, { status: "denied", reason: "too_many_attempts" }, DEVICE_CODE_TTL);
+    tooManyAttempts(res, "Too many attempts for this code. Run 'hyperstack-core login' again.", APPROVE_WINDOW);
+    return null;
+  }
+  return deviceCode;
+}
+
+// ── Device keys ──
+
+function hashKey(apiKey) {
+  return require("crypto").createHash("sha256").update(apiKey).digest("hex");
+}
+
+// What the CLI says about itself. Unverified — shown to the user, never trusted
+function deviceMetadata(body) {
+  function field(value) {
+    return typeof value === "string" && value.trim() ? value.trim().slice(0, DEVICE_FIELD_MAX) : null;
+  }
+  body = body || {};
+  return {
+    hostname: field(body.hostname),
+    platform: field(body.platform),
+    cliVersion: field(body.cli_version),
+  };
+}
+
+async function userWorkspaces(userId) {
+  var memberships = await prisma.workspaceMember.findMany({
+    where: { userId: userId },
+    include: { workspace: true },
+  });
+  return memberships.map(function (wm) {
+    return { slug: wm.workspace.slug, name: wm.workspace.name, role: wm.role };
+  });
+}
+
+function publicDeviceKey(key) {
+  return {
+    id: key.id,
+    prefix: key.prefix,
+    hostname: key.hostname,
+    platform: key.platform,
+    cli_version: key.cliVersion,
+    workspaces: key.workspaces,
+    permission: key.permission,
+    created_at: key.createdAt,
+    last_used_at: key.lastUsedAt,
+    revoked_at: key.revokedAt,
+  };
+}
+
+// The live device key behind an X-API-Key header, or null (unknown, revoked,
+// or an account key). Touches lastUsedAt.
+async function findDeviceKey(apiKey) {
+  if (!apiKey) return null;
+  var key = await prisma.deviceKey.findUnique({ where: { keyHash: hashKey(apiKey) } });
+  if (!key || key.revokedAt) return null;
+  await prisma.deviceKey.update({ where: { id: key.id }, data: { lastUsedAt: new Date() } });
+  return key;
+}
+
+// Whether a device key may touch a workspace; `write` for anything that changes it
+function deviceKeyAllows(key, workspaceSlug, write) {
+  if (key.workspaces.indexOf(workspaceSlug) === -1) return false;
+  return !write || key.permission === "write";
+}
+
 // ── POST /api/auth?action=device-code ──
 // CLI calls this to start the flow. Returns a user_code + device_code.
+// Body (optional): { hostname, platform, cli_version } — shown on the approval page
 // Response: { device_code, user_code, verification_uri, expires_in, interval }
 //
 // Usage from CLI:
-//   const res = await fetch(BASE + "/api/auth?action=device-code", { method: "POST" });
+//   const res = await fetch(BASE + "/api/auth?action=device-code", {
+//     method: "POST",
+//     headers: { "Content-Type": "application/json" },
+//     body: JSON.stringify({ hostname: os.hostname(), platform: "linux-x64", cli_version: "1.4.0" }),
+//   });
 //   const { user_code, verification_uri } = await res.json();
 //   console.log(`Open ${verification_uri} and enter code: ${user_code}`);
 
@@ -48,36 +335,73 @@ function generateCode(len) {
   if (req.method === "POST" && req.query.action === "device-code") {
     var crypto = require("crypto");
     var deviceCode = crypto.randomBytes(32).toString("hex");
-    var userCode = generateCode(4) + "-" + generateCode(4); // e.g. "ABCD-EF23"
-
-    deviceCodes.set(deviceCode, {
-      userCode: userCode,
-      status: "pending", // pending | approved | denied
-      userId: null,
-      apiKey: null,
-      expiresAt: Date.now() + 600000, // 10 minutes
-      createdAt: Date.now(),
-    });
+    var userCode = null;
 
-    // Also index by user_code for the approval page
-    deviceCodes.set("uc:" + userCode, deviceCode);
+    // Retry on the rare user_code collision with a live code
+    for (var attempt = 0; attempt < 5 && !userCode; attempt++) {
+      var candidate = generateCode(4) + "-" + generateCode(4); // e.g. "ABCD-EF23"
+      var created = await deviceStore.create(deviceCode, {
+        userCode: candidate,
+        device: deviceMetadata(req.body),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + DEVICE_CODE_TTL,
+      });
+      if (created) userCode = candidate;
+    }
+    if (!userCode) return error(res, "Could not allocate a code, try again", 503);
 
     return json(res, {
       device_code: deviceCode,
       user_code: userCode,
       verification_uri: "https://cascadeai.dev/hyperstack/device",
       verification_uri_complete: "https://cascadeai.dev/hyperstack/device?code=" + userCode,
-      expires_in: 600,
-      interval: 5,
+      expires_in: DEVICE_CODE_TTL / 1000,
+      interval: POLL_INTERVAL,
+    });
+  }
+
+// ── POST /api/auth?action=device-info ──
+// Browser calls this once the user has entered the user_code, to show
+// which device is asking before it's approved. Requires JWT auth. Wrong
+// codes count against the IP limit; lookups don't use up the code's attempts.
+// Body: { user_code: "ABCD-EF23" }
+// Returns: { user_code, device: { hostname, platform, cli_version }, requested_at, workspaces, permissions }
+
+/*--- ACTION: device-info ---*/
+  if (req.method === "POST" && req.query.action === "device-info") {
+    var user = await authenticate(req);
+    if (!user) return error(res, "Login required", 401);
+
+    var userCode = (req.body.user_code || "").trim().toUpperCase();
+    if (!userCode) return error(res, "user_code required");
+
+    var deviceCode = await lookupUserCode(req, res, userCode, false);
+    if (!deviceCode) return;
+
+    var entry = await deviceStore.find(deviceCode);
+    if (!entry || Date.now() > entry.expiresAt) {
+      return error(res, "Code expired", 410);
+    }
+
+    var device = entry.device || {};
+    return json(res, {
+      user_code: userCode,
+      device: { hostname: device.hostname, platform: device.platform, cli_version: device.cliVersion },
+      requested_at: new Date(entry.createdAt).toISOString(),
+      workspaces: await userWorkspaces(user.id),
+      permissions: DEVICE_PERMISSIONS,
     });
   }
 
 // ── POST /api/auth?action=device-approve ──
 // Browser calls this after user logs in and enters the user_code.
 // Requires JWT auth (user must be logged in on the website).
-// Links the device_code to the user's account.
+// Mints a new API key for the device, limited to the chosen workspaces and
+// permission. Rate limited per IP and per code (429 with Retry-After).
 //
-// Body: { user_code: "ABCD-EF23" }
+// Body: { user_code: "ABCD-EF23", workspaces: ["default"], permission: "read" | "write" }
+// Omitting workspaces grants every workspace the user belongs to; the
+// permission defaults to "write".
 
 /*--- ACTION: device-approve ---*/
   if (req.method === "POST" && req.query.action === "device-approve") {
@@ -87,31 +411,78 @@ function generateCode(len) {
     var userCode = (req.body.user_code || "").trim().toUpperCase();
     if (!userCode) return error(res, "user_code required");
 
-    var deviceCode = deviceCodes.get("uc:" + userCode);
-    if (!deviceCode) return error(res, "Invalid or expired code", 404);
+    var deviceCode = await lookupUserCode(req, res, userCode, true);
+    if (!deviceCode) return;
+
+    var permission = req.body.permission || "write";
+    if (DEVICE_PERMISSIONS.indexOf(permission) === -1) {
+      return error(res, "permission must be one of: " + DEVICE_PERMISSIONS.join(", "));
+    }
+    var member = (await userWorkspaces(user.id)).map(function (w) { return w.slug; });
+    var scope = req.body.workspaces === undefined ? member : req.body.workspaces;
+    if (!Array.isArray(scope) || !scope.length) return error(res, "Choose at least one workspace");
+    var outside = scope.filter(function (slug) { return member.indexOf(slug) === -1; });
+    if (outside.length) return error(res, "Not a member of: " + outside.join(", "), 403);
 
-    var entry = deviceCodes.get(deviceCode);
+    var entry = await deviceStore.find(deviceCode);
     if (!entry || Date.now() > entry.expiresAt) {
       return error(res, "Code expired", 410);
     }
-    if (entry.status !== "pending") {
-      return error(res, "Code already used", 409);
-    }
 
-    // Approve: link to user's API key
-    entry.status = "approved";
-    entry.userId = user.id;
-    entry.apiKey = user.apiKey;
+    // First decision wins, across instances
+    var ttl = entry.expiresAt - Date.now();
+    var decided = await deviceStore.decide(deviceCode, { status: "approved", userId: user.id }, ttl);
+    if (!decided) return error(res, "Code already used", 409);
+
+    // A key of its own, so this device can be revoked without touching the others.
+    // If it can't be created, release the code rather than leave it approved with no key
+    var crypto = require("crypto");
+    var apiKey = "hs_" + crypto.randomBytes(24).toString("hex");
+    var device = entry.device || {};
+    var deviceKey;
+    try {
+      deviceKey = await prisma.deviceKey.create({
+        data: {
+          userId: user.id,
+          keyHash: hashKey(apiKey),
+          prefix: apiKey.slice(0, 8),
+          hostname: device.hostname,
+          platform: device.platform,
+          cliVersion: device.cliVersion,
+          workspaces: scope,
+          permission: permission,
+        },
+      });
+    } catch (err) {
+      await deviceStore.undecide(deviceCode);
+      return error(res, "Could not create a key for this device, try again", 500);
+    }
+    try {
+      await deviceStore.grant(deviceCode, {
+        userId: user.id,
+        apiKey: apiKey,
+        keyId: deviceKey.id,
+        workspaces: scope,
+        permission: permission,
+      }, ttl);
+    } catch (err) {
+      // The key was never handed out: drop it and release the code
+      await prisma.deviceKey.delete({ where: { id: deviceKey.id } });
+      await deviceStore.undecide(deviceCode);
+      return error(res, "Could not approve this device, try again", 500);
+    }
 
     return json(res, {
       message: "Device approved",
       user_code: userCode,
+      device: publicDeviceKey(deviceKey),
     });
   }
 
 // ── POST /api/auth?action=device-deny ──
 // User explicitly denies the device code.
 // Body: { user_code: "ABCD-EF23" }
+// 409 if the code was already approved or denied — the first decision stands
 
 /*--- ACTION: device-deny ---*/
   if (req.method === "POST" && req.query.action === "device-deny") {
@@ -119,72 +490,120 @@ function generateCode(len) {
     if (!user) return error(res, "Login required", 401);
 
     var userCode = (req.body.user_code || "").trim().toUpperCase();
-    var deviceCode = deviceCodes.get("uc:" + userCode);
-    if (deviceCode) {
-      var entry = deviceCodes.get(deviceCode);
-      if (entry) entry.status = "denied";
-    }
+    if (!userCode) return error(res, "user_code required");
+
+    var deviceCode = await lookupUserCode(req, res, userCode, true);
+    if (!deviceCode) return;
+    var decided = await deviceStore.decide(deviceCode, { status: "denied", userId: user.id }, DEVICE_CODE_TTL);
+    // Already approved means the device has a key — revoke it from the device list instead
+    if (!decided) return error(res, "Code already used", 409);
 
     return json(res, { message: "Device denied" });
   }
 
 // ── POST /api/auth?action=device-token ──
-// CLI polls this every 5 seconds until approved/denied/expired.
+// CLI polls this every `interval` seconds until approved/denied/expired.
 // Body: { device_code: "..." }
-// Returns: 
-//   Pending:  { error: "authorization_pending" } (HTTP 428)
-//   Approved: { api_key, workspace, plan, user } (HTTP 200)
-//   Denied:   { error: "access_denied" } (HTTP 403)
-//   Expired:  { error: "expired_token" } (HTTP 410)
+// Returns:
+//   Pending:   { error: "authorization_pending" } (HTTP 428)
+//   Too fast:  { error: "slow_down", interval }  (HTTP 400) — wait `interval` from now on
+//   Approved:  { api_key, key_id, permission, user, workspaces } (HTTP 200), exactly once —
+//              workspaces lists only those the key is scoped to
+//   Denied:    { error: "access_denied" } (HTTP 403)
+//   Expired:   { error: "expired_token" } (HTTP 410)
 
 /*--- ACTION: device-token ---*/
   if (req.method === "POST" && req.query.action === "device-token") {
     var deviceCode = req.body.device_code || "";
     if (!deviceCode) return error(res, "device_code required");
 
-    var entry = deviceCodes.get(deviceCode);
-    if (!entry) return error(res, "expired_token", 410);
+    var entry = await deviceStore.find(deviceCode);
+    if (!entry || Date.now() > entry.expiresAt) return error(res, "expired_token", 410);
 
-    if (Date.now() > entry.expiresAt) {
-      deviceCodes.delete(deviceCode);
-      return error(res, "expired_token", 410);
+    var poll = await deviceStore.checkPoll(deviceCode);
+    if (poll.tooFast) {
+      return res.status(400).json({ error: "slow_down", interval: poll.interval });
     }
 
-    if (entry.status === "denied") {
-      deviceCodes.delete(deviceCode);
-      deviceCodes.delete("uc:" + entry.userCode);
+    var decision = await deviceStore.decision(deviceCode);
+    if (decision && decision.status === "denied") {
+      await deviceStore.remove(deviceCode, entry.userCode);
       return error(res, "access_denied", 403);
     }
 
-    if (entry.status === "pending") {
+    // No grant yet means pending — also in the moment between decide() and
+    // grant() on approval, and for a second poller racing the one that won
+    var grant = decision ? await deviceStore.consume(deviceCode) : null;
+    if (!grant) {
       return res.status(428).json({ error: "authorization_pending" });
     }
 
-    if (entry.status === "approved") {
-      // Fetch full user to get workspace info
-      var approvedUser = await prisma.user.findUnique({ where: { id: entry.userId } });
-      var workspaces = await prisma.workspaceMember.findMany({
-        where: { userId: entry.userId },
-        include: { workspace: true },
-      });
+    // Fetch full user to get workspace info
+    var approvedUser = await prisma.user.findUnique({ where: { id: grant.userId } });
+    var workspaces = (await userWorkspaces(grant.userId)).filter(function (w) {
+      return grant.workspaces.indexOf(w.slug) !== -1;
+    });
 
-      // Clean up
-      deviceCodes.delete(deviceCode);
-      deviceCodes.delete("uc:" + entry.userCode);
-
-      return json(res, {
-        api_key: entry.apiKey,
-        user: {
-          id: approvedUser.id,
-          email: approvedUser.email,
-          name: approvedUser.name,
-          plan: approvedUser.plan,
-        },
-        workspaces: workspaces.map(function (wm) {
-          return { slug: wm.workspace.slug, name: wm.workspace.name, role: wm.role };
-        }),
-      });
+    // Clean up
+    await deviceStore.remove(deviceCode, entry.userCode);
+
+    return json(res, {
+      api_key: grant.apiKey,
+      key_id: grant.keyId,
+      permission: grant.permission,
+      user: {
+        id: approvedUser.id,
+        email: approvedUser.email,
+        name: approvedUser.name,
+        plan: approvedUser.plan,
+      },
+      workspaces: workspaces,
+    });
+  }
+
+// ── GET /api/auth?action=device-list ──
+// Every device key the user has approved, newest first, revoked ones included.
+// Requires JWT auth. Never returns the keys themselves.
+// Returns: { devices: [{ id, prefix, hostname, platform, cli_version, workspaces,
+//            permission, created_at, last_used_at, revoked_at }] }
+
+/*--- ACTION: device-list ---*/
+  if (req.method === "GET" && req.query.action === "device-list") {
+    var user = await authenticate(req);
+    if (!user) return error(res, "Login required", 401);
+
+    var keys = await prisma.deviceKey.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "desc" },
+    });
+    return json(res, { devices: keys.map(publicDeviceKey) });
+  }
+
+// ── POST /api/auth?action=device-revoke ──
+// Revokes a device key; requests made with it fail from then on.
+//   Body: { key_id }  — requires JWT auth, revokes one of the user's devices
+//   Body: {}          — revokes the key sent as X-API-Key (`logout --revoke`)
+// Returns: { message, device } — 404 if there is no such live key
+
+/*--- ACTION: device-revoke ---*/
+  if (req.method === "POST" && req.query.action === "device-revoke") {
+    var where;
+    if (req.body.key_id) {
+      var user = await authenticate(req);
+      if (!user) return error(res, "Login required", 401);
+      where = { id: req.body.key_id, userId: user.id };
+    } else {
+      var presented = req.headers["x-api-key"];
+      if (!presented) return error(res, "key_id or X-API-Key required");
+      where = { keyHash: hashKey(presented) };
     }
 
-    return error(res, "Unknown state", 500);
+    var key = await prisma.deviceKey.findFirst({ where: where });
+    if (!key || key.revokedAt) return error(res, "No such device key (account keys are rotated from the dashboard)", 404);
+
+    var revoked = await prisma.deviceKey.update({
+      where: { id: key.id },
+      data: { revokedAt: new Date() },
+    });
+    return json(res, { message: "Device key revoked", device: publicDeviceKey(revoked) });
   }
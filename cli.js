@@ -13,12 +13,22 @@
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
-import { resolve, dirname, join } from "path";
+import { resolve, dirname } from "path";
+import { hostname } from "os";
 import { fileURLToPath } from "url";
-import { homedir } from "os";
 import { HyperStackClient } from "./src/client.js";
+import { isLocalBaseUrl } from "./src/local.js";
+import { HyperStackAuthError, PlanLimitError, RateLimitError, NetworkError } from "./src/errors.js";
+import { parseCards, detectFormat } from "./src/import.js";
+import { formatGraph, edgesFromCards, EXPORT_FORMATS } from "./src/export.js";
+import { migrateMarkdown } from "./src/migrate.js";
+import { serveStdio } from "./src/mcp.js";
+import { DEFAULT_PROFILE, loadCredentials, getProfile, listProfiles, saveProfile, useProfile, removeProfile } from "./src/credentials.js";
+import { SETTINGS, DEFAULT_BASE_URL, resolveSettings, setProjectSetting } from "./src/config.js";
+import { createOpenClawAdapter } from "./adapters/openclaw.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const PKG = JSON.parse(readFileSync(resolve(__dirname, "package.json"), "utf-8"));
 
 const args = process.argv.slice(2);
 const command = args[0];
@@ -29,31 +39,83 @@ function getFlag(name, fallback = "") {
   return args[idx + 1];
 }
 
+function hasFlag(name) {
+  return args.includes(`--${name}`);
+}
+
+// Flags that take no value, so the next arg is not swallowed as one
+const BOOLEAN_FLAGS = new Set(["pinned", "all", "dry-run", "apply", "schema", "rules", "cache", "queue", "force", "none", "fix", "revoke", "timestamp"]);
+
+/** Non-flag arguments after the command (flag values excluded). */
+function positionals() {
+  const out = [];
+  for (let i = 1; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      if (!BOOLEAN_FLAGS.has(args[i].slice(2))) i++;
+      continue;
+    }
+    out.push(args[i]);
+  }
+  return out;
+}
+
 function help() {
   console.log(`
 hyperstack-core — Typed graph memory for AI agents
 
 Commands:
-  login               Authenticate via browser (OAuth device flow)
-  logout              Remove saved credentials
+  login               Authenticate via browser (OAuth device flow; --profile <name>, --base-url <url>)
+  logout              Remove the profile's saved API key (--revoke also invalidates it server-side)
+  profile <action>    Saved accounts/servers: list | use <name> | remove <name>
+  workspace <action>  Workspaces from login: list | use <slug> (default for the profile)
+  config <action>     Effective settings and where they come from: show | get <key> | set <key> <value>
   init <template>     Initialize a project with a template
-  search <query>      Search the knowledge graph
-  store               Store a card (use --slug, --title, --body, --type, --links)
-  decide              Record a decision (use --slug, --title, --rationale)
+  search <query>      Search the knowledge graph (--sort-by utility)
+  store               Store a card (use --slug, --title, --body, --type, --links, --status)
+                      Provenance: --confidence 0-1, --truth-stratum draft|hypothesis|confirmed,
+                      --verified-by <who>, --pinned, --ttl 30m|24h|7d|2w
+  decide              Record a decision (use --slug, --title, --rationale, --supersedes <slug>)
   blockers <slug>     Show what blocks a card
-  graph <slug>        Traverse graph from a card
-  list                List all cards
+  graph <slug>        Traverse graph from a card (--depth, --relation, --weight-by utility)
+  list                List cards (--type, --stack, --agent, --limit 50, --page N, --all)
+  import <file>       Bulk-import cards from JSON, JSONL or CSV (--concurrency, --dry-run)
+  doctor              Find dangling links, cycles, orphans, duplicates, status contradictions (--fix)
+  lint                Check every card against the template rules (exit 1 on violations)
+  migrate <files...>  Convert GOALS.md / DECISIONS.md into typed cards (dry run; --apply to store)
+  export              Export the graph (--format json|jsonl|graphml|dot|mermaid, --from, --depth, --out, --timestamp)
+  feedback            Report task outcome (use --cards, --outcome success|failure, --task)
+  branch <action>     Git-style branching: create <name> | diff <id> | merge <id> | discard <id> | list
+  history <slug>      Show every version of a card with field-level changes
+  revert <slug> <v>   Restore a card to an earlier version (from 'history')
+  diff --since <date> What changed in the workspace since a date (--until <date>)
+  task <action>       Task lifecycle: create | assign <slug> <agent> | status <slug> <status> | list
+  plan <goal-slug>    Order a goal's tasks into parallel waves, with critical path and ready tasks
+  watch               Print card and link changes as they happen (--type, --agent, --since, --interval 5)
+  sync                Send writes queued while offline (--force overwrites conflicts)
+  mcp                 Run an MCP server on stdio (Claude Desktop, Cursor, VS Code)
 
 Templates:
   openclaw-multiagent   Multi-agent coordination for OpenClaw
 
 Options:
-  --workspace <slug>  Workspace (default: "default")
+  --profile <name>    Saved profile to use (default: the one set with 'profile use')
+  --workspace <slug>  Workspace (default: the project's, else the profile's, else "default")
+  --base-url <url>    API URL for this command
   --agent <id>        Agent ID for multi-agent setups
+  --schema            Validate cards against .hyperstack/config.json before storing
+  --rules             Report template rule warnings for cards you store
+  --inverse <mode>    Pair blocks/blocked_by and assigned_to/owns links on store:
+                      "write" adds the inverse, "normalize" keeps only blocks/assigned_to
+  --cache             Cache reads on disk (~/.hyperstack/cache, 60s)
+  --queue             Queue writes when the API is unreachable (send later with 'sync')
+
+Settings resolve flag > env > .hyperstack/config.json (nearest, walking up) > profile > default.
 
 Environment:
   HYPERSTACK_API_KEY      Your API key (or use 'login' command)
   HYPERSTACK_WORKSPACE    Default workspace
+  HYPERSTACK_PROFILE      Saved profile to use
+  HYPERSTACK_BASE_URL     API URL, or file://./.hyperstack/graph.json to work offline
 
 Examples:
   npx hyperstack-core login
@@ -61,6 +123,8 @@ Examples:
   npx hyperstack-core store --slug "use-clerk" --title "Use Clerk for auth" --type decision
   npx hyperstack-core blockers deploy-prod
   npx hyperstack-core graph auth-api --depth 2
+  npx hyperstack-core branch create try-new-routing
+  npx hyperstack-core branch merge default--try-new-routing --strategy parent-wins
 `);
 }
 
@@ -78,7 +142,7 @@ async function init(template) {
 
   // Check for API key (env var or saved credentials)
   const apiKey = getApiKey();
-  if (!apiKey) {
+  if (!apiKey && !isLocalBaseUrl(getBaseUrl())) {
     console.log("⚠️  Not authenticated.");
     console.log("   Run: npx hyperstack-core login");
     console.log("   Or:  export HYPERSTACK_API_KEY=hs_your_key\n");
@@ -89,7 +153,7 @@ async function init(template) {
     writeFileSync(
       resolve(configDir, "config.json"),
       JSON.stringify({
-        workspace: "default",
+        workspace: settings().workspace.value,
         template: template,
         agents: tmpl.agentSetup?.agents || {},
       }, null, 2)
@@ -100,19 +164,16 @@ async function init(template) {
   }
 
   const client = new HyperStackClient({
+    ...flagSettings(),
     apiKey: apiKey,
-    workspace: getFlag("workspace", "default"),
   });
 
   // Create starter cards
   console.log("Creating starter cards...\n");
-  for (const card of tmpl.starterCards || []) {
-    try {
-      const result = await client.store(card);
-      console.log(`  ✅ [${card.slug}] ${card.title} — ${result.updated ? "updated" : "created"}`);
-    } catch (err) {
-      console.log(`  ❌ [${card.slug}] ${err.message}`);
-    }
+  const seeded = await client.storeMany(tmpl.starterCards || []);
+  for (const r of seeded.results) {
+    if (r.ok) console.log(`  ✅ [${r.slug}] ${r.result.updated ? "updated" : "created"}`);
+    else console.log(`  ❌ [${r.slug}] ${r.error.message}`);
   }
 
   // Register agents if template has them
@@ -138,17 +199,19 @@ async function init(template) {
   writeFileSync(
     resolve(configDir, "config.json"),
     JSON.stringify({
-      workspace: getFlag("workspace", "default"),
+      // Where the starter cards went — the project config outranks the profile
+      workspace: client.workspace,
       template: template,
       agents: tmpl.agentSetup?.agents || {},
       cardTypes: tmpl.cardTypes,
       relationTypes: tmpl.relationTypes,
+      rules: tmpl.rules || [],
     }, null, 2)
   );
 
   console.log(`\n✅ HyperStack initialized with "${template}" template`);
   console.log(`   Config: .hyperstack/config.json`);
-  console.log(`   Cards: ${(tmpl.starterCards || []).length} starter cards created`);
+  console.log(`   Cards: ${seeded.succeeded} starter cards created${seeded.failed ? `, ${seeded.failed} failed` : ""}`);
   console.log(`   Agents: ${Object.keys(tmpl.agentSetup?.agents || {}).length} registered`);
 
   // Show next steps
@@ -181,62 +244,81 @@ Next steps:
 `);
 }
 
-// ─── Credentials file ─────────────────────────────────
+// ─── Credentials & profiles ───────────────────────────
 
-const CRED_DIR = join(homedir(), ".hyperstack");
-const CRED_FILE = join(CRED_DIR, "credentials.json");
-const BASE_URL = process.env.HYPERSTACK_BASE_URL || "https://hyperstack-cloud.vercel.app";
+/** Settings given as flags; the rest resolve from env, project config and profile. */
+function flagSettings() {
+  return {
+    profile: getFlag("profile", "") || undefined,
+    workspace: getFlag("workspace", "") || undefined,
+    baseUrl: getFlag("base-url", "") || undefined,
+    agentId: getFlag("agent", "") || undefined,
+  };
+}
 
-function loadCredentials() {
-  try {
-    if (existsSync(CRED_FILE)) {
-      const creds = JSON.parse(readFileSync(CRED_FILE, "utf-8"));
-      return creds;
-    }
-  } catch {}
-  return null;
+function settings() {
+  return resolveSettings(flagSettings(), { explicitSource: "flag" });
 }
 
-function saveCredentials(creds) {
-  if (!existsSync(CRED_DIR)) mkdirSync(CRED_DIR, { recursive: true });
-  writeFileSync(CRED_FILE, JSON.stringify(creds, null, 2), { mode: 0o600 });
+/** The saved profile this run uses. */
+function currentProfile() {
+  return getProfile(settings().profile.value);
 }
 
-function deleteCredentials() {
-  try {
-    if (existsSync(CRED_FILE)) {
-      writeFileSync(CRED_FILE, "{}", { mode: 0o600 });
-    }
-  } catch {}
+function getBaseUrl() {
+  return settings().baseUrl.value;
 }
 
 function getApiKey() {
-  // Priority: env var > credentials file
+  // Priority: env var > profile
   if (process.env.HYPERSTACK_API_KEY) return process.env.HYPERSTACK_API_KEY;
-  const creds = loadCredentials();
-  if (creds?.api_key) return creds.api_key;
-  return null;
+  return currentProfile()?.api_key || null;
+}
+
+/** Print an error with a next step that fits its type. */
+function reportError(err) {
+  console.error(`Error: ${err.message}`);
+  if (err instanceof HyperStackAuthError) {
+    console.error("Run 'npx hyperstack-core login' to re-authenticate.");
+  } else if (err instanceof PlanLimitError) {
+    console.error("Not available on your plan. Upgrade at https://cascadeai.dev/hyperstack");
+  } else if (err instanceof RateLimitError) {
+    const wait = err.retryAfter ? ` in ${Math.ceil(err.retryAfter / 1000)}s` : " shortly";
+    console.error(`Rate limited. Try again${wait}.`);
+  } else if (err instanceof NetworkError) {
+    console.error(`Could not reach ${getBaseUrl()}. Check your connection or HYPERSTACK_BASE_URL.`);
+  }
 }
 
 // ─── Device flow login ────────────────────────────────
 
 async function login() {
-  console.log("\n🃏 HyperStack Login\n");
+  const profileName = settings().profile.value;
+  const existing = getProfile(profileName);
+  const baseUrl = getBaseUrl();
+  console.log(`\n🃏 HyperStack Login${profileName === DEFAULT_PROFILE ? "" : ` (profile: ${profileName})`}\n`);
 
   // Check if already logged in
-  const existing = loadCredentials();
   if (existing?.api_key) {
     console.log(`Already logged in as ${existing.user?.email || "unknown"}`);
     console.log(`API key: ${existing.api_key.slice(0, 8)}...`);
-    console.log(`Run 'hyperstack-core logout' to sign out.\n`);
+    console.log(`Run 'hyperstack-core logout${profileName === DEFAULT_PROFILE ? "" : ` --profile ${profileName}`}' to sign out.\n`);
     return;
   }
 
-  // Step 1: Request device code
+  // Step 1: Request device code, saying which machine is asking
   console.log("Requesting device code...\n");
   let deviceRes;
   try {
-    const r = await fetch(BASE_URL + "/api/auth?action=device-code", { method: "POST" });
+    const r = await fetch(baseUrl + "/api/auth?action=device-code", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        hostname: hostname(),
+        platform: `${process.platform}-${process.arch}`,
+        cli_version: PKG.version,
+      }),
+    });
     deviceRes = await r.json();
     if (!r.ok) {
       console.error("Error:", deviceRes.error || "Failed to get device code");
@@ -257,6 +339,7 @@ async function login() {
   console.log(`  │   Code:  ${deviceRes.user_code}              │`);
   console.log("  │                                     │");
   console.log("  └─────────────────────────────────────┘\n");
+  console.log(`  Device: ${hostname()} — check that the approval page shows this name.\n`);
   console.log("  Open this URL in your browser:\n");
   console.log(`  ${deviceRes.verification_uri_complete}\n`);
   console.log("  Waiting for approval...\n");
@@ -272,28 +355,32 @@ async function login() {
   } catch {}
 
   // Step 3: Poll for approval
-  const pollInterval = (deviceRes.interval || 5) * 1000;
-  const maxAttempts = Math.ceil((deviceRes.expires_in || 600) / (deviceRes.interval || 5));
-  let attempt = 0;
+  let pollInterval = (deviceRes.interval || 5) * 1000;
+  const deadline = Date.now() + (deviceRes.expires_in || 600) * 1000;
 
-  while (attempt < maxAttempts) {
-    attempt++;
+  while (Date.now() < deadline) {
     await new Promise(r => setTimeout(r, pollInterval));
 
     try {
-      const r = await fetch(BASE_URL + "/api/auth?action=device-token", {
+      const r = await fetch(baseUrl + "/api/auth?action=device-token", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ device_code: deviceRes.device_code }),
       });
       const data = await r.json();
 
-      if (r.status === 428) {
+      if (r.status === 428 || data.error === "authorization_pending") {
         // Still pending
         process.stdout.write(".");
         continue;
       }
 
+      if (data.error === "slow_down") {
+        // Polling too fast (RFC 8628) — back off for the rest of the flow
+        pollInterval = data.interval ? data.interval * 1000 : pollInterval + 5000;
+        continue;
+      }
+
       if (r.status === 403) {
         console.log("\n\n❌ Device denied. Try again with 'hyperstack-core login'.\n");
         process.exit(1);
@@ -305,9 +392,16 @@ async function login() {
       }
 
       if (r.ok && data.api_key) {
-        // Success!
-        saveCredentials({
+        // Success! A key scoped away from the profile's workspace would fail
+        // every request, so fall back to the first one it can use
+        const slugs = data.workspaces.map(w => w.slug);
+        const workspace = existing?.workspace || "default";
+        const profile = saveProfile(profileName, {
           api_key: data.api_key,
+          key_id: data.key_id,
+          permission: data.permission,
+          base_url: baseUrl === DEFAULT_BASE_URL ? undefined : baseUrl,
+          workspace: slugs.length && !slugs.includes(workspace) ? slugs[0] : existing?.workspace,
           user: data.user,
           workspaces: data.workspaces,
           authenticated_at: new Date().toISOString(),
@@ -316,8 +410,12 @@ async function login() {
         console.log("\n");
         console.log("  ✅ Logged in as " + data.user.email);
         console.log("  Plan: " + data.user.plan);
-        console.log("  Workspaces: " + data.workspaces.map(w => w.slug).join(", "));
-        console.log("  Credentials saved to: ~/.hyperstack/credentials.json\n");
+        console.log("  Workspaces: " + data.workspaces.map(w => w.slug).join(", ") + (data.permission ? ` (${data.permission})` : ""));
+        console.log(`  Credentials saved to: ~/.hyperstack/credentials.json (profile: ${profile.name})\n`);
+        if (loadCredentials().current !== profile.name) {
+          console.log(`  Use it with --profile ${profile.name}, or make it the default:`);
+          console.log(`  npx hyperstack-core profile use ${profile.name}\n`);
+        }
         console.log("  You're ready! Try:");
         console.log("  npx hyperstack-core init openclaw-multiagent");
         console.log("  npx hyperstack-core list\n");
@@ -339,15 +437,565 @@ async function login() {
 }
 
 async function logout() {
-  const creds = loadCredentials();
-  if (!creds) {
+  const profile = currentProfile();
+  if (!profile?.api_key) {
     console.log("Not logged in.\n");
     return;
   }
+  if (hasFlag("revoke") && !(await revokeKey(profile))) {
+    // Keep the key so the revoke can be retried
+    process.exitCode = 1;
+    return;
+  }
+  // Keep the profile's server and workspace so 'login' goes back to them
+  saveProfile(profile.name, {
+    api_key: undefined,
+    key_id: undefined,
+    permission: undefined,
+    user: undefined,
+    authenticated_at: undefined,
+  });
+  console.log(`Logged out of profile "${profile.name}". Removed its API key from ~/.hyperstack/credentials.json\n`);
+}
+
+/** Invalidate the profile's device key on its server. True once it no longer works. */
+async function revokeKey(profile) {
+  const baseUrl = profile.base_url || DEFAULT_BASE_URL;
+  let r, data;
   try {
-    writeFileSync(CRED_FILE, "{}", { mode: 0o600 });
-  } catch {}
-  console.log(`Logged out. Removed ~/.hyperstack/credentials.json\n`);
+    r = await fetch(baseUrl + "/api/auth?action=device-revoke", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-API-Key": profile.api_key },
+      body: JSON.stringify({}),
+    });
+    data = await r.json().catch(() => ({}));
+  } catch (err) {
+    console.error(`Could not reach ${baseUrl} to revoke the key: ${err.message}`);
+    console.error("The key was kept. Try again, or run 'logout' without --revoke.\n");
+    return false;
+  }
+  if (r.ok || (r.status === 404 && profile.key_id)) {
+    // 404 for a device key means it was already revoked, e.g. from the devices page
+    console.log(`Revoked API key ${profile.api_key.slice(0, 8)}... on ${baseUrl}`);
+    return true;
+  }
+  console.error(`Could not revoke the key: ${data.error || `HTTP ${r.status}`}`);
+  if (!profile.key_id) {
+    console.error("It was saved before per-device keys; rotate it from the dashboard instead.");
+  }
+  console.error("The key was kept. Run 'logout' without --revoke to just remove it locally.\n");
+  return false;
+}
+
+async function configCommand(action, key, value) {
+  const usage = `Usage: hyperstack-core config show | get <key> | set <key> <value>\nKeys: ${Object.keys(SETTINGS).join(", ")}`;
+  const resolved = settings();
+
+  if (action === "show" || !action) {
+    const keys = Object.keys(SETTINGS);
+    const width = Math.max(...keys.map(k => k.length), "apiKey".length);
+    for (const k of keys) {
+      const { value: v, source } = resolved[k];
+      console.log(`${k.padEnd(width)}  ${v ?? "—"}  (${source})`);
+    }
+    const profile = getProfile(resolved.profile.value);
+    const apiKey = process.env.HYPERSTACK_API_KEY
+      ? { value: process.env.HYPERSTACK_API_KEY, source: "env HYPERSTACK_API_KEY" }
+      : profile?.api_key ? { value: profile.api_key, source: `profile ${profile.name}` } : null;
+    console.log(`${"apiKey".padEnd(width)}  ${apiKey ? `${apiKey.value.slice(0, 8)}...  (${apiKey.source})` : "—  (not set — run 'login')"}`);
+    return;
+  }
+
+  if (!key || !SETTINGS[key]) { console.error(usage); process.exit(1); }
+
+  if (action === "get") {
+    console.log(`${resolved[key].value ?? ""}  (${resolved[key].source})`);
+    return;
+  }
+
+  if (action === "set") {
+    if (value === undefined) { console.error(usage); process.exit(1); }
+    const file = setProjectSetting(key, value === "" ? null : value);
+    console.log(value === "" ? `Removed ${key} from ${file}` : `${key} = ${value} in ${file}`);
+    const now = settings()[key];
+    if (value !== "" && now.source !== `project ${file}`) {
+      console.log(`Note: ${now.source} still takes precedence (${key} = ${now.value})`);
+    }
+    return;
+  }
+
+  console.error(usage);
+  process.exit(1);
+}
+
+async function profileCommand(action, name) {
+  const usage = "Usage: hyperstack-core profile list | use <name> | remove <name>";
+
+  if (action === "list" || !action) {
+    const profiles = listProfiles();
+    if (!profiles.length) { console.log("No profiles. Run 'npx hyperstack-core login' to create one."); return; }
+    const active = settings().profile.value;
+    for (const p of profiles) {
+      const who = p.api_key ? p.user?.email || `${p.api_key.slice(0, 8)}...` : "logged out";
+      const workspace = p.workspace ? `  workspace: ${p.workspace}` : "";
+      console.log(`${p.name === active ? "*" : " "} ${p.name}  ${p.base_url || DEFAULT_BASE_URL}  ${who}${workspace}`);
+    }
+    return;
+  }
+
+  if (!name) { console.error(usage); process.exit(1); }
+
+  if (action === "use") {
+    useProfile(name);
+    console.log(`Now using profile "${name}"`);
+    return;
+  }
+
+  if (action === "remove") {
+    removeProfile(name);
+    console.log(`Removed profile "${name}"`);
+    return;
+  }
+
+  console.error(usage);
+  process.exit(1);
+}
+
+async function workspaceCommand(action, slug) {
+  const usage = "Usage: hyperstack-core workspace list | use <slug>";
+  const profile = currentProfile();
+  if (!profile) { console.error("Not logged in. Run 'npx hyperstack-core login' first."); process.exit(1); }
+  const workspaces = profile.workspaces || [];
+  const active = settings().workspace.value;
+
+  if (action === "list" || !action) {
+    if (!workspaces.length) { console.log(`No workspaces saved for profile "${profile.name}" — run 'login' again to refresh.`); return; }
+    for (const w of workspaces) {
+      console.log(`${w.slug === active ? "*" : " "} ${w.slug}${w.name && w.name !== w.slug ? `  ${w.name}` : ""}`);
+    }
+    return;
+  }
+
+  if (action === "use") {
+    if (!slug) { console.error(usage); process.exit(1); }
+    if (workspaces.length && !workspaces.some(w => w.slug === slug)) {
+      console.error(`Profile "${profile.name}" has no workspace "${slug}" (has: ${workspaces.map(w => w.slug).join(", ")})`);
+      process.exit(1);
+    }
+    saveProfile(profile.name, { workspace: slug });
+    console.log(`Profile "${profile.name}" now uses workspace [${slug}]`);
+    return;
+  }
+
+  console.error(usage);
+  process.exit(1);
+}
+
+// ─── Rules ────────────────────────────────────────────
+
+async function lint(client) {
+  const { violations, errors, cardsChecked } = await client.lint();
+  for (const v of violations) {
+    console.log(`[${v.slug}] ${v.rule} — ${v.suggest || v.description}`);
+  }
+  for (const e of errors) console.log(`❌ ${e.message}`);
+  if (violations.length) console.log();
+  console.log(`${cardsChecked} card(s) checked, ${violations.length} violation(s)${errors.length ? `, ${errors.length} rule error(s)` : ""}`);
+  if (violations.length || errors.length) process.exitCode = 1;
+}
+
+// ─── Tasks ────────────────────────────────────────────
+
+async function task(client, action, rest) {
+  const usage = "Usage: hyperstack-core task create --slug <slug> --title <title> [--assignee <agent>] [--priority <p>] [--deadline <date>] [--parent <slug>]\n" +
+    "       hyperstack-core task assign <slug> <agentId|--none>\n" +
+    "       hyperstack-core task status <slug> <todo|in-progress|blocked|done|cancelled> [--force]\n" +
+    "       hyperstack-core task list [--status <status>] [--assignee <agent>]";
+
+  if (action === "create") {
+    const slug = getFlag("slug");
+    const title = getFlag("title");
+    if (!slug || !title) { console.error(usage); process.exit(1); }
+    const result = await client.createTask({
+      slug,
+      title,
+      body: getFlag("body") || undefined,
+      status: getFlag("status") || undefined,
+      priority: getFlag("priority") || undefined,
+      assignee: getFlag("assignee") || undefined,
+      deadline: getFlag("deadline") || undefined,
+      parent: getFlag("parent") || undefined,
+    });
+    console.log(`${result.updated ? "Updated" : "Created"} task [${slug}]: ${title}`);
+    return;
+  }
+
+  if (action === "assign") {
+    const [slug, agentId] = rest;
+    if (!slug || (!agentId && !hasFlag("none"))) { console.error(usage); process.exit(1); }
+    await client.assign(slug, hasFlag("none") ? null : agentId);
+    console.log(hasFlag("none") ? `Unassigned [${slug}]` : `Assigned [${slug}] → agent-${agentId}`);
+    return;
+  }
+
+  if (action === "status") {
+    const [slug, status] = rest;
+    if (!slug || !status) { console.error(usage); process.exit(1); }
+    const result = await client.setStatus(slug, status, { force: hasFlag("force") });
+    console.log(`[${slug}] ${result.from} → ${result.to}`);
+    return;
+  }
+
+  if (action === "list") {
+    const status = getFlag("status");
+    const assignee = getFlag("assignee");
+    let shown = 0;
+    for await (const t of client.iterate({ type: "task" })) {
+      if (status && (t.meta?.status || "todo") !== status) continue;
+      if (assignee && t.meta?.assignee !== assignee) continue;
+      const who = t.meta?.assignee ? ` @${t.meta.assignee}` : "";
+      const priority = t.meta?.priority ? ` !${t.meta.priority}` : "";
+      console.log(`  ${(t.meta?.status || "todo").padEnd(11)} [${t.slug}] ${t.title}${who}${priority}`);
+      shown++;
+    }
+    if (!shown) console.log("No matching tasks.");
+    return;
+  }
+
+  console.error(usage);
+  process.exit(1);
+}
+
+function printPlan(plan) {
+  const open = plan.waves.reduce((n, w) => n + w.length, 0) + plan.cycles.length;
+  console.log(`Plan for [${plan.goal.slug}] ${plan.goal.title || ""} — ${open} open task(s), ${plan.done.length} done\n`);
+  if (!open) { console.log("Nothing left to do."); return; }
+
+  const readySlugs = new Set(plan.ready.map(t => t.slug));
+  plan.waves.forEach((wave, i) => {
+    console.log(`Wave ${i + 1}`);
+    for (const t of wave) {
+      const mark = readySlugs.has(t.slug) ? "▶" : t.status === "in-progress" ? "…" : " ";
+      const who = t.assignee ? ` @${t.assignee}` : "";
+      const waiting = t.waitingOn.length ? `  (waiting on ${t.waitingOn.join(", ")})` : "";
+      console.log(`  ${mark} [${t.slug}] ${t.title} — ${t.status}${who}${waiting}`);
+    }
+  });
+
+  console.log(`\nCritical path: ${plan.criticalPath.join(" → ") || "—"}`);
+  console.log(`Ready now: ${plan.ready.map(t => t.slug).join(", ") || "nothing"}`);
+  if (plan.cycles.length) console.log(`\n⚠️  Dependency cycle — can't order: ${plan.cycles.join(", ")}`);
+}
+
+// ─── Change feed ──────────────────────────────────────
+
+function watch(client) {
+  const list = name => (getFlag(name) ? getFlag(name).split(",").map(s => s.trim()).filter(Boolean) : undefined);
+  const watcher = client.watch({
+    types: list("type"),
+    agents: list("agent"),
+    since: getFlag("since") || undefined,
+    interval: parseFloat(getFlag("interval", "5")) * 1000,
+  });
+
+  const time = () => new Date().toLocaleTimeString();
+  watcher.on("event", e => {
+    const card = e.card || e.previous || {};
+    const detail = e.type === "link.added"
+      ? `${e.link.relation}→${e.link.target}`
+      : `${card.title || ""} (${card.cardType || "general"})`;
+    console.log(`${time()}  ${e.type.padEnd(12)} [${e.slug}] ${detail}`);
+  });
+  watcher.on("error", err => {
+    if (watcher.stopped) {
+      reportError(err);
+      process.exit(1);
+    }
+    console.error(`${time()}  ⚠️  ${err.message} — retrying`);
+  });
+
+  const filters = [getFlag("type"), getFlag("agent") && `agent ${getFlag("agent")}`].filter(Boolean).join(", ");
+  console.log(`Watching ${client.workspace}${filters ? ` (${filters})` : ""}. Ctrl+C to stop.\n`);
+  process.on("SIGINT", () => {
+    watcher.stop();
+    process.exit(0);
+  });
+}
+
+// ─── Offline queue ────────────────────────────────────
+
+async function sync(client) {
+  const pending = client.pending();
+  if (!pending.length) { console.log("Nothing queued."); return; }
+  console.log(`Syncing ${pending.length} queued write(s)...\n`);
+
+  const result = await client.flush({ force: hasFlag("force") });
+  for (const a of result.applied) console.log(`  ✅ ${a.method} [${a.slug}]`);
+  for (const f of result.failed) console.log(`  ❌ ${f.method} [${f.slug}] ${f.error.message}`);
+  for (const c of result.conflicts) {
+    console.log(`  ⚠️  ${c.method} [${c.slug}] conflict — changed on the server at ${c.remoteUpdatedAt}, queued at ${c.queuedAt}`);
+  }
+
+  console.log(`\n${result.applied.length} applied, ${result.conflicts.length} conflict(s), ${result.failed.length} failed`);
+  if (result.conflicts.length) console.log("Conflicts stay queued. Re-run with --force to overwrite the server's copy.");
+  if (result.offline) console.log(`Still offline — ${result.remaining} write(s) remain queued.`);
+  if (result.conflicts.length || result.failed.length || result.offline) process.exitCode = 1;
+}
+
+// ─── Integrity ────────────────────────────────────────
+
+async function doctor(client) {
+  const fix = hasFlag("fix");
+  const { cardsChecked, issues, fixed } = await client.checkIntegrity({ fix });
+  const icons = { error: "❌", warning: "⚠️ ", info: "ℹ️ " };
+
+  for (const i of issues) {
+    const repair = i.fix ? (fix ? "  ✅ fixed" : "  (fixable)") : "";
+    console.log(`${icons[i.severity]} ${i.type.padEnd(20)} [${i.slug}] ${i.message}${repair}`);
+  }
+  if (issues.length) console.log();
+
+  const counts = ["error", "warning", "info"].map(s => `${issues.filter(i => i.severity === s).length} ${s}(s)`);
+  console.log(`${cardsChecked} card(s) checked: ${counts.join(", ")}`);
+  const fixable = issues.filter(i => i.fix).length;
+  if (fix) console.log(`Repaired ${fixed.length} card(s).`);
+  else if (fixable) console.log(`${fixable} issue(s) can be repaired safely — re-run with --fix.`);
+
+  const remaining = issues.filter(i => i.severity === "error" && !(fix && i.fix));
+  if (remaining.length) process.exitCode = 1;
+}
+
+// ─── Bulk import ──────────────────────────────────────
+
+async function importCards(client, file) {
+  if (!file) {
+    console.error("Usage: hyperstack-core import <file.json|file.jsonl|file.csv> [--format csv] [--concurrency 8] [--dry-run]");
+    process.exit(1);
+  }
+  if (!existsSync(file)) { console.error(`File not found: ${file}`); process.exit(1); }
+  const concurrency = getFlag("concurrency", "4");
+  if (!/^[1-9]\d*$/.test(concurrency)) {
+    console.error(`--concurrency must be a positive whole number, got "${concurrency}"`);
+    process.exit(1);
+  }
+
+  const format = getFlag("format") || detectFormat(file);
+  if (!format) { console.error("Can't tell the format from the extension. Pass --format json|jsonl|csv"); process.exit(1); }
+
+  const cards = parseCards(readFileSync(file, "utf-8"), format);
+  console.log(`Parsed ${cards.length} card(s) from ${file} (${format})\n`);
+
+  if (hasFlag("dry-run")) {
+    for (const c of cards) {
+      const links = c.links?.length ? `  → ${c.links.map(l => `${l.relation}→${l.target}`).join(", ")}` : "";
+      console.log(`  [${c.slug || "?"}] ${c.title || "?"} (${c.cardType || "general"})${links}`);
+    }
+    console.log("\nDry run — nothing stored.");
+    return;
+  }
+
+  const result = await client.storeMany(cards, {
+    concurrency: Number(concurrency),
+    onProgress: ({ done, total }) => process.stdout.write(`\r  ${done}/${total}`),
+  });
+
+  console.log(`\n\n✅ ${result.succeeded} stored, ${result.failed ? "❌ " : ""}${result.failed} failed`);
+  for (const r of result.results.filter(r => !r.ok)) {
+    console.log(`  ❌ [${r.slug || "?"}] ${r.error.message}`);
+  }
+  if (result.failed) process.exitCode = 1;
+}
+
+// ─── Markdown migration ───────────────────────────────
+
+async function migrate(client, files) {
+  if (!files.length) {
+    console.error("Usage: hyperstack-core migrate GOALS.md DECISIONS.md [--apply]");
+    process.exit(1);
+  }
+  for (const f of files) {
+    if (!existsSync(f)) { console.error(`File not found: ${f}`); process.exit(1); }
+  }
+
+  const { cards, unresolved } = migrateMarkdown(files.map(file => ({ file, text: readFileSync(file, "utf-8") })));
+  const counts = {};
+  for (const c of cards) counts[c.cardType] = (counts[c.cardType] || 0) + 1;
+  console.log(`\n${files.join(", ")} → ${Object.entries(counts).map(([t, n]) => `${n} ${t}(s)`).join(", ") || "nothing"}\n`);
+
+  for (const c of cards) {
+    const status = c.meta?.status ? `, ${c.meta.status}` : "";
+    console.log(`  [${c.slug}] ${c.title} (${c.cardType}${status})`);
+    for (const l of c.links) console.log(`      ${l.relation} → ${l.target}`);
+  }
+  if (unresolved.length) {
+    console.log(`\n  ⚠️  ${unresolved.length} reference(s) didn't match a migrated card (linked by slug anyway):`);
+    for (const u of unresolved) console.log(`      [${u.slug}] ${u.relation} "${u.ref}"`);
+  }
+
+  if (!hasFlag("apply")) {
+    console.log("\nDry run — nothing stored. Re-run with --apply to create these cards.\n");
+    return;
+  }
+
+  const result = await client.storeMany(cards, {
+    onProgress: ({ done, total }) => process.stdout.write(`\r  ${done}/${total}`),
+  });
+  console.log(`\n\n✅ ${result.succeeded} card(s) stored, ${result.failed} failed`);
+  for (const r of result.results.filter(r => !r.ok)) {
+    console.log(`  ❌ [${r.slug}] ${r.error.message}`);
+  }
+  if (result.failed) process.exitCode = 1;
+}
+
+// ─── Export ───────────────────────────────────────────
+
+async function exportGraph(client) {
+  const format = getFlag("format", "json");
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`Unknown format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}`);
+    process.exit(1);
+  }
+
+  // Whole workspace from list(), or a subgraph from graph()
+  let graph;
+  const from = getFlag("from");
+  if (from) {
+    const result = await client.graph(from, { depth: parseInt(getFlag("depth", "2")) });
+    graph = { nodes: result.nodes || [], edges: result.edges || [] };
+  } else {
+    const cards = [];
+    for await (const card of client.iterate()) cards.push(card);
+    graph = { nodes: cards, edges: edgesFromCards(cards) };
+  }
+
+  const output = formatGraph(graph, format, {
+    workspace: client.workspace,
+    ...(from && { from }),
+    // Off by default so exports of an unchanged graph diff clean
+    ...(hasFlag("timestamp") && { exportedAt: new Date().toISOString() }),
+  });
+
+  const out = getFlag("out");
+  if (out) {
+    writeFileSync(out, output);
+    console.error(`Exported ${graph.nodes.length} cards, ${graph.edges.length} edges → ${out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// ─── History ──────────────────────────────────────────
+
+function formatValue(value) {
+  if (value === undefined || value === null) return "∅";
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function printChanges(changes, indent = "      ") {
+  for (const c of changes) {
+    if (c.field === "links") {
+      for (const l of c.added) console.log(`${indent}+ link ${l.relation} → ${l.target}`);
+      for (const l of c.removed) console.log(`${indent}- link ${l.relation} → ${l.target}`);
+    } else {
+      console.log(`${indent}${c.field}: ${formatValue(c.before)} → ${formatValue(c.after)}`);
+    }
+  }
+}
+
+async function history(client, slug) {
+  if (!slug) { console.error("Usage: hyperstack-core history <slug>"); process.exit(1); }
+  const { versions } = await client.history(slug);
+  console.log(`[${slug}] ${versions.length} version(s)\n`);
+  for (const v of [...versions].reverse()) {
+    const what = v.deleted ? "deleted" : v.version === 1 ? "created" : `${v.changes.length} change(s)`;
+    console.log(`  v${v.version}  ${v.at || "?"}  ${what}`);
+    printChanges(v.changes);
+  }
+  console.log(`\nRestore one with: hyperstack-core revert ${slug} <version>\n`);
+}
+
+async function revert(client, slug, version) {
+  if (!slug || !version) { console.error("Usage: hyperstack-core revert <slug> <version>"); process.exit(1); }
+  const result = await client.revert(slug, version);
+  console.log(`Reverted [${slug}] to v${result.revertedTo}`);
+}
+
+async function diffSince(client) {
+  const since = getFlag("since");
+  if (!since) { console.error("Usage: hyperstack-core diff --since <date> [--until <date>]"); process.exit(1); }
+  const result = await client.diffAt(since, getFlag("until") || undefined);
+  const { added, modified, removed } = result;
+  console.log(`[${client.workspace}] ${result.from} → ${result.to}`);
+  console.log(`${added.length} added, ${modified.length} modified, ${removed.length} removed\n`);
+  for (const c of added) console.log(`  + [${c.slug}] ${c.title || "?"}`);
+  for (const m of modified) {
+    console.log(`  ~ [${m.slug}] ${m.title || "?"}`);
+    printChanges(m.changes);
+  }
+  for (const c of removed) console.log(`  - [${c.slug}] ${c.title || "?"}`);
+  if (added.length + modified.length + removed.length) console.log();
+}
+
+// ─── Branching ────────────────────────────────────────
+
+function printDiff(diff) {
+  const added = diff.added || [];
+  const modified = diff.modified || [];
+  const removed = diff.removed || [];
+  console.log(`${added.length} added, ${modified.length} modified, ${removed.length} removed\n`);
+  for (const c of added) console.log(`  + [${c.slug}] ${c.title || "?"}`);
+  for (const c of modified) console.log(`  ~ [${c.slug}] ${c.title || "?"}`);
+  for (const c of removed) console.log(`  - [${c.slug}] ${c.title || "?"}`);
+  if (added.length + modified.length + removed.length) console.log();
+}
+
+async function branch(client, action, target) {
+  const usage = "Usage: hyperstack-core branch create <name> | diff <id> | merge <id> [--strategy branch-wins|parent-wins] | discard <id> | list";
+
+  if (action === "list") {
+    const result = await client.branches();
+    const branches = result.branches || [];
+    if (!branches.length) { console.log(`No branches of [${client.workspace}].`); return; }
+    for (const b of branches) {
+      console.log(`  ${b.branchWorkspaceId}  ${b.branchName}  (forked ${b.forkedAt || "?"})`);
+    }
+    return;
+  }
+
+  if (!target) { console.error(usage); process.exit(1); }
+
+  if (action === "create") {
+    const result = await client.fork({ branchName: target });
+    console.log(`Forked [${client.workspace}] → ${result.branchWorkspaceId} (${result.cardsCopied ?? "?"} cards copied)`);
+    console.log(`Work in it with: --workspace ${result.branchSlug || result.branchWorkspaceId}`);
+    return;
+  }
+
+  if (action === "diff") {
+    const result = await client.diff({ branchWorkspaceId: target });
+    console.log(`Branch ${target} vs [${client.workspace}]:`);
+    printDiff(result);
+    return;
+  }
+
+  if (action === "merge") {
+    const result = await client.merge({
+      branchWorkspaceId: target,
+      strategy: getFlag("strategy", "branch-wins"),
+    });
+    console.log(`Merged ${result.merged} card(s) into [${client.workspace}] (${result.strategy}, ${result.conflicts} conflict(s))`);
+    return;
+  }
+
+  if (action === "discard") {
+    await client.discard({ branchWorkspaceId: target });
+    console.log(`Discarded branch ${target}. [${client.workspace}] untouched.`);
+    return;
+  }
+
+  console.error(usage);
+  process.exit(1);
 }
 
 async function run() {
@@ -366,6 +1014,21 @@ async function run() {
     return;
   }
 
+  if (command === "profile") {
+    await profileCommand(...positionals());
+    return;
+  }
+
+  if (command === "workspace") {
+    await workspaceCommand(...positionals());
+    return;
+  }
+
+  if (command === "config") {
+    await configCommand(...positionals());
+    return;
+  }
+
   if (command === "init") {
     const template = args[1];
     if (!template) {
@@ -377,14 +1040,38 @@ async function run() {
     return;
   }
 
+  if (command === "mcp") {
+    // stdout is the protocol channel — nothing else may be printed there
+    let adapter;
+    try {
+      adapter = createOpenClawAdapter({
+        ...flagSettings(),
+        apiKey: getApiKey(),
+        agentId: settings().agentId.value || undefined,
+        schema: hasFlag("schema") || undefined,
+        rules: hasFlag("rules") || undefined,
+        inverseLinks: getFlag("inverse", "") || undefined,
+      });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+    await serveStdio(adapter);
+    return;
+  }
+
   // All other commands need API key (from env or credentials file)
   const apiKey = getApiKey();
   let client;
   try {
     client = new HyperStackClient({
       apiKey: apiKey,
-      workspace: getFlag("workspace", "default"),
-      agentId: getFlag("agent", undefined),
+      ...flagSettings(),
+      schema: hasFlag("schema") || undefined,
+      rules: hasFlag("rules") || undefined,
+      inverseLinks: getFlag("inverse", "") || undefined,
+      cache: hasFlag("cache") ? "disk" : undefined,
+      offlineQueue: hasFlag("queue") || command === "sync",
     });
   } catch (err) {
     console.error(err.message);
@@ -393,13 +1080,13 @@ async function run() {
   }
 
   if (command === "search") {
-    const query = args.slice(1).filter(a => !a.startsWith("--")).join(" ");
+    const query = positionals().join(" ");
     if (!query) { console.error("Usage: hyperstack-core search <query>"); process.exit(1); }
-    const result = await client.search(query);
+    const result = await client.search(query, { sortBy: getFlag("sort-by") || undefined });
     const cards = result.results || [];
     if (!cards.length) { console.log("No results."); return; }
     for (const c of cards.slice(0, 10)) {
-      console.log(`[${c.slug}] ${c.title} (${c.cardType || "general"})`);
+      console.log(`[${c.slug}] ${c.title} (${c.cardType || "general"})${c.superseded ? ` — superseded by [${c.supersededBy}]` : ""}`);
       if (c.body) console.log(`  ${c.body.slice(0, 150)}`);
       if (c.links?.length) console.log(`  Links: ${c.links.map(l => `${l.relation}→${l.target}`).join(", ")}`);
       console.log();
@@ -411,7 +1098,7 @@ async function run() {
     const slug = getFlag("slug");
     const title = getFlag("title");
     if (!slug || !title) { console.error("Required: --slug and --title"); process.exit(1); }
-    const result = await client.store({
+    const card = {
       slug,
       title,
       body: getFlag("body"),
@@ -421,8 +1108,20 @@ async function run() {
         const [target, relation] = l.trim().split(":");
         return { target, relation: relation || "related" };
       }) : [],
-    });
+    };
+    if (getFlag("status")) card.meta = { status: getFlag("status") };
+    if (getFlag("confidence")) card.confidence = parseFloat(getFlag("confidence"));
+    if (getFlag("truth-stratum")) card.truthStratum = getFlag("truth-stratum");
+    if (getFlag("verified-by")) card.verifiedBy = getFlag("verified-by");
+    if (hasFlag("pinned")) card.pinned = true;
+    if (getFlag("ttl")) card.ttl = getFlag("ttl");
+    const result = await client.store(card);
+    if (result.queued) {
+      console.log(`Queued [${slug}]: ${title} — offline; run 'hyperstack-core sync' to send it`);
+      return;
+    }
     console.log(`${result.updated ? "Updated" : "Created"} [${slug}]: ${title}`);
+    for (const w of result.warnings || []) console.log(`  ⚠️  ${w.rule} — ${w.suggest}`);
     return;
   }
 
@@ -430,14 +1129,16 @@ async function run() {
     const slug = getFlag("slug");
     const title = getFlag("title");
     if (!slug || !title) { console.error("Required: --slug and --title"); process.exit(1); }
-    await client.decide({
+    const result = await client.decide({
       slug,
       title,
       body: getFlag("rationale", getFlag("body", "")),
       affects: getFlag("affects") ? getFlag("affects").split(",").map(s => s.trim()) : [],
       blocks: getFlag("blocks") ? getFlag("blocks").split(",").map(s => s.trim()) : [],
+      supersedes: getFlag("supersedes") || undefined,
     });
-    console.log(`Decision recorded: [${slug}] ${title}`);
+    console.log(`Decision ${result.queued ? "queued (offline)" : "recorded"}: [${slug}] ${title}`);
+    if (result.superseded) console.log(`  supersedes [${result.superseded}]`);
     return;
   }
 
@@ -453,7 +1154,7 @@ async function run() {
         console.log(`  [${b.slug}] ${b.title || "?"}`);
       }
     } catch (err) {
-      console.error(`Error: ${err.message}`);
+      reportError(err);
     }
     return;
   }
@@ -465,6 +1166,7 @@ async function run() {
       const result = await client.graph(from, {
         depth: parseInt(getFlag("depth", "2")),
         relation: getFlag("relation") || undefined,
+        weightBy: getFlag("weight-by") || undefined,
       });
       console.log(`Graph from [${from}]: ${result.nodes?.length || 0} nodes, ${result.edges?.length || 0} edges\n`);
       for (const n of result.nodes || []) {
@@ -475,17 +1177,122 @@ async function run() {
         console.log(`  ${e.from} --${e.relation}--> ${e.to}`);
       }
     } catch (err) {
-      console.error(`Error: ${err.message}`);
+      reportError(err);
     }
     return;
   }
 
   if (command === "list") {
-    const result = await client.list();
+    const filters = {
+      type: getFlag("type") || undefined,
+      stack: getFlag("stack") || undefined,
+      agent: getFlag("agent") || undefined,
+    };
+
+    if (hasFlag("all")) {
+      let n = 0;
+      for await (const c of client.iterate(filters)) {
+        console.log(`  [${c.slug}] ${c.title} (${c.cardType || "general"})`);
+        n++;
+      }
+      console.log(`\n${n} card(s)`);
+      return;
+    }
+
+    const limit = parseInt(getFlag("limit", "50"));
+    const page = parseInt(getFlag("page", "1"));
+    const result = await client.list({ ...filters, limit, page });
+    const cards = result.cards || [];
     console.log(`HyperStack: ${result.count ?? 0}/${result.limit ?? "?"} cards (plan: ${result.plan || "?"})\n`);
-    for (const c of result.cards || []) {
+    for (const c of cards) {
       console.log(`  [${c.slug}] ${c.title} (${c.cardType || "general"})`);
     }
+    if (result.nextCursor) {
+      const first = (page - 1) * limit + 1;
+      console.log(`\n  Showing ${first}-${first + cards.length - 1}. Next: --page ${page + 1} (or --all)`);
+    }
+    return;
+  }
+
+  if (command === "doctor") {
+    await doctor(client);
+    return;
+  }
+
+  if (command === "lint") {
+    await lint(client);
+    return;
+  }
+
+  if (command === "import") {
+    await importCards(client, positionals()[0]);
+    return;
+  }
+
+  if (command === "migrate") {
+    await migrate(client, positionals());
+    return;
+  }
+
+  if (command === "export") {
+    await exportGraph(client);
+    return;
+  }
+
+  if (command === "feedback") {
+    const cards = getFlag("cards");
+    const outcome = getFlag("outcome");
+    if (!cards || !outcome) { console.error("Required: --cards <slug,slug> and --outcome success|failure"); process.exit(1); }
+    const result = await client.feedback({
+      cardSlugs: cards.split(",").map(s => s.trim()).filter(Boolean),
+      outcome,
+      taskId: getFlag("task") || undefined,
+    });
+    console.log(`Feedback recorded: ${outcome} — ${result.cardsAffected ?? "?"} card(s), ${result.edgesUpdated ?? "?"} edge(s) updated`);
+    return;
+  }
+
+  if (command === "branch") {
+    await branch(client, args[1], args[2]);
+    return;
+  }
+
+  if (command === "history") {
+    await history(client, positionals()[0]);
+    return;
+  }
+
+  if (command === "revert") {
+    const [slug, version] = positionals();
+    await revert(client, slug, version);
+    return;
+  }
+
+  if (command === "diff") {
+    await diffSince(client);
+    return;
+  }
+
+  if (command === "task") {
+    const [action, ...rest] = positionals();
+    await task(client, action, rest);
+    return;
+  }
+
+  if (command === "plan") {
+    const slug = positionals()[0];
+    if (!slug) { console.error("Usage: hyperstack-core plan <goal-slug>"); process.exit(1); }
+    printPlan(await client.plan(slug));
+    return;
+  }
+
+  if (command === "watch") {
+    watch(client);
+    return;
+  }
+
+  if (command === "sync") {
+    await sync(client);
     return;
   }
 
@@ -495,6 +1302,6 @@ async function run() {
 }
 
 run().catch(err => {
-  console.error(`Error: ${err.message}`);
+  reportError(err);
   process.exit(1);
 });
@@ -8,6 +8,10 @@
  *   const hs = new HyperStackClient({ apiKey: "hs_..." });
  *   await hs.store({ slug: "use-clerk", title: "Use Clerk for auth", cardType: "decision" });
  *   await hs.blockers("deploy-prod"); // → typed blockers
+ *
+ * Errors:
+ *   Failed calls throw HyperStackError subclasses (HyperStackAuthError,
+ *   NotFoundError, PlanLimitError, RateLimitError, NetworkError).
  * 
  * OpenClaw:
  *   import { createOpenClawAdapter } from "hyperstack-core/adapters/openclaw";
@@ -16,3 +20,12 @@
 
 export { HyperStackClient } from "./src/client.js";
 export { createOpenClawAdapter } from "./adapters/openclaw.js";
+export {
+  HyperStackError,
+  HyperStackAuthError,
+  NotFoundError,
+  PlanLimitError,
+  RateLimitError,
+  NetworkError,
+  SchemaError,
+} from "./src/errors.js";
@@ -0,0 +1,129 @@
+/**
+ * hyperstack-core — read-through cache for GET requests
+ *
+ * Agents ask the same search/graph questions many times per session.
+ * With `cache` enabled the client answers repeats from here until the
+ * entry's TTL runs out or a write to the workspace invalidates it.
+ *
+ *   memory  — per process, gone on exit
+ *   disk    — one JSON file per workspace under ~/.hyperstack/cache,
+ *             shared by every process (CLI runs, MCP server, scripts)
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, rmSync } from "fs";
+import { join } from "path";
+import { homedir } from "os";
+import { createHash } from "crypto";
+
+const DEFAULT_TTL = 60000;
+const DEFAULT_CACHE_DIR = join(homedir(), ".hyperstack", "cache");
+
+/**
+ * File-name-safe key for a workspace on a given server.
+ * @param {string} baseUrl
+ * @param {string} workspace
+ */
+function scopeKey(baseUrl, workspace) {
+  const hash = createHash("sha1").update(baseUrl).digest("hex").slice(0, 8);
+  return `${workspace.replace(/[^\w.-]/g, "_")}-${hash}`;
+}
+
+class MemoryCache {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.ttl=60000] — entry lifetime in ms
+   */
+  constructor(opts = {}) {
+    this.ttl = opts.ttl ?? DEFAULT_TTL;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.set(key, { value, expires: Date.now() + this.ttl });
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+class DiskCache {
+  /**
+   * @param {object} opts
+   * @param {string} opts.scope — from scopeKey(), one file per scope
+   * @param {number} [opts.ttl=60000] — entry lifetime in ms
+   * @param {string} [opts.dir=~/.hyperstack/cache]
+   */
+  constructor(opts) {
+    this.ttl = opts.ttl ?? DEFAULT_TTL;
+    this.dir = opts.dir || DEFAULT_CACHE_DIR;
+    this.file = join(this.dir, `${opts.scope}.json`);
+  }
+
+  /** @private */
+  _load() {
+    try {
+      if (existsSync(this.file)) return JSON.parse(readFileSync(this.file, "utf-8"));
+    } catch {
+      // A corrupt cache is just a cold cache
+    }
+    return {};
+  }
+
+  /** @private */
+  _save(entries) {
+    mkdirSync(this.dir, { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(entries));
+    renameSync(tmp, this.file);
+  }
+
+  get(key) {
+    const entry = this._load()[key];
+    if (!entry || entry.expires <= Date.now()) return undefined;
+    return entry.value;
+  }
+
+  set(key, value) {
+    const entries = this._load();
+    const now = Date.now();
+    // Drop expired entries so the file doesn't grow forever
+    for (const [k, e] of Object.entries(entries)) {
+      if (e.expires <= now) delete entries[k];
+    }
+    entries[key] = { value, expires: now + this.ttl };
+    this._save(entries);
+  }
+
+  clear() {
+    rmSync(this.file, { force: true });
+  }
+}
+
+/**
+ * Build a cache from the client's `cache` option.
+ * @param {boolean|string|object} option — true / "memory", "disk", or
+ *   { type: "memory"|"disk", ttl, dir }
+ * @param {string} scope — from scopeKey()
+ * @returns {MemoryCache|DiskCache|null}
+ */
+function createCache(option, scope) {
+  if (!option) return null;
+  const opts = typeof option === "object" ? option : { type: option === true ? "memory" : option };
+  const type = opts.type || "memory";
+  if (type === "memory") return new MemoryCache(opts);
+  if (type === "disk") return new DiskCache({ ...opts, scope });
+  throw new Error(`cache must be "memory" or "disk" (got "${type}")`);
+}
+
+export { MemoryCache, DiskCache, createCache, scopeKey, DEFAULT_TTL };
@@ -5,22 +5,96 @@
  * No dependencies. Used by the OpenClaw adapter and CLI.
  */
 
-const DEFAULT_BASE = "https://hyperstack-cloud.vercel.app";
-
-// ESM-compatible sync file reading
-import { readFileSync, existsSync } from "fs";
-import { join } from "path";
-import { homedir } from "os";
-
-function loadCredApiKey() {
-  try {
-    const credFile = join(homedir(), ".hyperstack", "credentials.json");
-    if (existsSync(credFile)) {
-      const creds = JSON.parse(readFileSync(credFile, "utf-8"));
-      if (creds.api_key) return creds.api_key;
-    }
-  } catch {}
-  return "";
+const MERGE_STRATEGIES = ["branch-wins", "parent-wins"];
+const TRUTH_STRATA = ["draft", "hypothesis", "confirmed"];
+const FEEDBACK_OUTCOMES = ["success", "failure"];
+const TASK_STATUSES = ["todo", "in-progress", "blocked", "done", "cancelled"];
+// Legal status moves; done/cancelled tasks can only be reopened
+const TASK_TRANSITIONS = {
+  "todo": ["in-progress", "blocked", "done", "cancelled"],
+  "in-progress": ["todo", "blocked", "done", "cancelled"],
+  "blocked": ["todo", "in-progress", "cancelled"],
+  "done": ["todo"],
+  "cancelled": ["todo"],
+};
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10000;
+// "30m" · "24h" · "7d" · "2w"
+const TTL_PATTERN = /^\d+[mhdw]$/;
+// Reads answered from the cache, and writes the offline queue records
+const CACHEABLE_PATH = /^\/api\/(cards|search|graph)\?/;
+const QUEUEABLE_PATH = /^\/api\/cards\?/;
+
+import { LocalBackend, isLocalBaseUrl } from "./local.js";
+import { NetworkError, NotFoundError, PlanLimitError, RateLimitError, errorFromResponse } from "./errors.js";
+import { loadSchema, createSchema, assertValidCard } from "./schema.js";
+import { loadRules, buildContexts, runRules } from "./rules.js";
+import { createCache, scopeKey } from "./cache.js";
+import { OfflineQueue } from "./queue.js";
+import { diffCards, diffCardSets } from "./diff.js";
+import { CardWatcher } from "./watch.js";
+import { buildPlan } from "./plan.js";
+import { checkIntegrity } from "./doctor.js";
+import { inverseOf, isInverse, withInverse, normalizeEdges } from "./relations.js";
+import { getProfile } from "./credentials.js";
+import { resolveSettings } from "./config.js";
+
+/**
+ * Client-side checks for the trust/provenance fields the backend supports.
+ * Absent fields are fine; present ones must be well-formed.
+ */
+function validateProvenance(card) {
+  const { confidence, truthStratum, verifiedBy, pinned, ttl } = card;
+  if (confidence !== undefined &&
+      (typeof confidence !== "number" || Number.isNaN(confidence) || confidence < 0 || confidence > 1)) {
+    throw new Error("card.confidence must be a number between 0.0 and 1.0");
+  }
+  if (truthStratum !== undefined && !TRUTH_STRATA.includes(truthStratum)) {
+    throw new Error(`card.truthStratum must be one of: ${TRUTH_STRATA.join(", ")}`);
+  }
+  if (verifiedBy !== undefined && (typeof verifiedBy !== "string" || !verifiedBy.trim())) {
+    throw new Error("card.verifiedBy must be a non-empty string");
+  }
+  if (pinned !== undefined && typeof pinned !== "boolean") {
+    throw new Error("card.pinned must be a boolean");
+  }
+  if (ttl !== undefined) {
+    const ok = (typeof ttl === "number" && ttl > 0) ||
+      (typeof ttl === "string" && (TTL_PATTERN.test(ttl) || /^\d+$/.test(ttl) || !Number.isNaN(Date.parse(ttl))));
+    if (!ok) {
+      throw new Error('card.ttl must be a duration ("30m", "24h", "7d", "2w"), milliseconds, or an ISO timestamp');
+    }
+  }
+}
+
+/**
+ * Parse Retry-After (delta-seconds or HTTP date) into milliseconds.
+ * @returns {number|null}
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Exponential backoff with full jitter: random(0, base·2^attempt), capped. */
+function backoffDelay(attempt) {
+  return Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/** ISO string for a Date or date string; throws on anything unparseable. */
+function toTimestamp(value, name) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${name} must be a date or ISO timestamp (got "${value}")`);
+  return date.toISOString();
 }
 
 class HyperStackClient {
@@ -28,16 +102,53 @@ class HyperStackClient {
    * @param {object} opts
    * @param {string} opts.apiKey — HyperStack API key (hs_...)
    * @param {string} [opts.workspace="default"] — workspace slug
-   * @param {string} [opts.baseUrl] — API base URL
+   * @param {string} [opts.baseUrl] — API base URL, or file://<path> for a local offline graph
+   * @param {string} [opts.profile] — saved profile (~/.hyperstack/credentials.json) to take
+   *   the API key, base URL and workspace from; defaults to HYPERSTACK_PROFILE, the
+   *   project config's `profile`, or the current profile.
+   *   workspace, baseUrl, agentId and profile each resolve option > env var > nearest
+   *   .hyperstack/config.json > profile > default (see src/config.js).
    * @param {string} [opts.agentId] — agent identifier for multi-agent setups
+   * @param {number} [opts.timeout=30000] — per-attempt request timeout in ms
+   * @param {number} [opts.retries=2] — retries on 429/5xx/network errors
+   * @param {boolean|object} [opts.schema] — validate cards before storing: true loads
+   *   the nearest .hyperstack/config.json, or pass { cardTypes, relationTypes }
+   * @param {boolean|object[]} [opts.rules] — check template rules after each store and
+   *   return violations as `warnings`: true loads them from .hyperstack/config.json
+   *   (or its template), or pass a rules array
+   * @param {"write"|"normalize"} [opts.inverseLinks] — when a stored card has a link
+   *   with an inverse relation (blocks/blocked_by, assigned_to/owns): "write" also
+   *   adds the inverse link to the target card; "normalize" keeps only the canonical
+   *   link (blocks, assigned_to), moving e.g. "A blocked_by B" to "B blocks A"
+   * @param {boolean|string|object} [opts.cache] — cache search/graph/card reads:
+   *   true or "memory", "disk" (~/.hyperstack/cache), or { type, ttl, dir }; ttl
+   *   defaults to 60s and any write to the workspace clears it
+   * @param {boolean|object} [opts.offlineQueue] — when a card write hits a network
+   *   error, queue it under ~/.hyperstack/queue (or { dir }) and resolve with
+   *   { slug, queued: true }; replay with flush()
    */
   constructor(opts = {}) {
-    this.apiKey = opts.apiKey || process.env.HYPERSTACK_API_KEY || loadCredApiKey();
-    this.workspace = opts.workspace || process.env.HYPERSTACK_WORKSPACE || "default";
-    this.baseUrl = opts.baseUrl || process.env.HYPERSTACK_BASE_URL || DEFAULT_BASE;
-    this.agentId = opts.agentId || null;
+    // option > env > project .hyperstack/config.json > profile > default
+    const settings = resolveSettings({
+      profile: opts.profile,
+      workspace: opts.workspace,
+      baseUrl: opts.baseUrl,
+      agentId: opts.agentId,
+    });
+    const profile = getProfile(settings.profile.value);
+    if (opts.profile && !profile) {
+      throw new Error(`No profile named "${opts.profile}". Run: npx hyperstack-core login --profile ${opts.profile}`);
+    }
+    this.profile = profile?.name || null;
+    this.apiKey = opts.apiKey || process.env.HYPERSTACK_API_KEY || profile?.api_key || "";
+    this.workspace = settings.workspace.value;
+    this.baseUrl = settings.baseUrl.value;
+    this.agentId = settings.agentId.value;
+    this.timeout = opts.timeout ?? DEFAULT_TIMEOUT;
+    this.retries = opts.retries ?? DEFAULT_RETRIES;
+    this._local = isLocalBaseUrl(this.baseUrl) ? new LocalBackend(this.baseUrl) : null;
 
-    if (!this.apiKey) {
+    if (!this.apiKey && !this._local) {
       throw new Error(
         "HYPERSTACK_API_KEY required.\n" +
         "Run: npx hyperstack-core login\n" +
@@ -45,10 +156,106 @@ class HyperStackClient {
         "Get a free account: https://cascadeai.dev/hyperstack"
       );
     }
+
+    this.schema = null;
+    if (opts.schema === true) {
+      this.schema = loadSchema();
+      if (!this.schema) {
+        throw new Error("schema: true needs .hyperstack/config.json (run: npx hyperstack-core init <template>)");
+      }
+    } else if (opts.schema) {
+      this.schema = createSchema(opts.schema);
+    }
+
+    this.rules = opts.rules === true ? loadRules() : Array.isArray(opts.rules) ? opts.rules : null;
+
+    if (opts.inverseLinks && !["write", "normalize"].includes(opts.inverseLinks)) {
+      throw new Error('inverseLinks must be "write" or "normalize"');
+    }
+    this.inverseLinks = opts.inverseLinks || null;
+
+    const scope = scopeKey(this.baseUrl, this.workspace);
+    this.cache = createCache(opts.cache, scope);
+    this._queue = opts.offlineQueue
+      ? new OfflineQueue({ scope, dir: opts.offlineQueue.dir })
+      : null;
+  }
+
+  /**
+   * Route one API call through the cache and offline queue.
+   * @private
+   */
+  async _request(method, path, body = null, opts = {}) {
+    const cacheable = this.cache && method === "GET" && CACHEABLE_PATH.test(path);
+    if (cacheable) {
+      const hit = this.cache.get(path);
+      if (hit !== undefined) return hit;
+    }
+
+    let data;
+    try {
+      data = await this._call(method, path, body);
+    } catch (err) {
+      const queueable = this._queue && !opts.noQueue && method !== "GET" && QUEUEABLE_PATH.test(path);
+      if (queueable && err instanceof NetworkError) return this._enqueue(method, path, body);
+      throw err;
+    }
+
+    if (cacheable) this.cache.set(path, data);
+    else if (method !== "GET") this.cache?.clear();
+    return data;
   }
 
   /** @private */
-  async _request(method, path, body = null) {
+  _enqueue(method, path, body) {
+    const slug = body?.slug || new URLSearchParams(path.split("?")[1]).get("id");
+    this._queue.push({ method, path, body, slug, queuedAt: new Date().toISOString() });
+    this.cache?.clear();
+    return { slug, queued: true };
+  }
+
+  /**
+   * Send one API call. Retries 429s and — for requests that are safe to
+   * repeat — 5xx responses and network failures, with jittered exponential
+   * backoff that honours Retry-After. Throws a typed HyperStackError.
+   * @private
+   */
+  async _call(method, path, body = null) {
+    if (this._local) {
+      const { status, data } = this._local.request(method, path, body);
+      if (status >= 400) throw errorFromResponse(status, data);
+      return data;
+    }
+
+    // Card upserts are keyed by slug, so repeating one is harmless;
+    // other POSTs (feedback, fork, merge) may not be.
+    const idempotent = method !== "POST" || path.startsWith("/api/cards?");
+
+    for (let attempt = 0; ; attempt++) {
+      let err;
+      try {
+        return await this._send(method, path, body);
+      } catch (e) {
+        err = e;
+      }
+
+      const retryable = err instanceof RateLimitError ||
+        (idempotent && (err instanceof NetworkError || err.status >= 500));
+      if (!retryable || attempt >= this.retries) throw err;
+
+      const delay = err instanceof RateLimitError && err.retryAfter !== null
+        ? err.retryAfter
+        : backoffDelay(attempt);
+      await sleep(Math.min(delay, RETRY_MAX_DELAY));
+    }
+  }
+
+  /**
+   * One HTTP attempt with a timeout. Tolerates empty (204) and non-JSON
+   * bodies, e.g. a proxy's HTML 502 page.
+   * @private
+   */
+  async _send(method, path, body) {
     const url = `${this.baseUrl}${path}`;
     const opts = {
       method,
@@ -60,13 +267,39 @@ class HyperStackClient {
     };
     if (body) opts.body = JSON.stringify(body);
 
-    const res = await fetch(url, opts);
-    const data = await res.json();
+    // Covers both the response headers and reading the body
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    opts.signal = controller.signal;
+
+    let res;
+    let text;
+    try {
+      res = await fetch(url, opts);
+      text = await res.text();
+    } catch (err) {
+      const timeout = err.name === "AbortError";
+      const message = timeout
+        ? `Request timed out after ${this.timeout}ms: ${method} ${path}`
+        : `Network error: ${err.cause?.message || err.message}`;
+      throw new NetworkError(message, { cause: err, timeout });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let data = {};
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = res.ok
+          ? { raw: text }
+          : { error: `HTTP ${res.status} ${res.statusText}`.trim(), raw: text.slice(0, 500) };
+      }
+    }
+
     if (!res.ok) {
-      const err = new Error(data.error || `HTTP ${res.status}`);
-      err.status = res.status;
-      err.body = data;
-      throw err;
+      throw errorFromResponse(res.status, data, parseRetryAfter(res.headers.get("retry-after")));
     }
     return data;
   }
@@ -84,11 +317,23 @@ class HyperStackClient {
    * @param {string[]} [card.keywords] — search terms
    * @param {Array<{target: string, relation: string}>} [card.links] — typed relations
    * @param {object} [card.meta] — freeform metadata
-   * @returns {Promise<{slug: string, updated: boolean}>}
+   * @param {number} [card.confidence] — writer's self-reported certainty (0.0-1.0)
+   * @param {string} [card.truthStratum] — draft|hypothesis|confirmed
+   * @param {string} [card.verifiedBy] — who/what confirmed this (verifiedAt is set server-side)
+   * @param {boolean} [card.pinned] — never pruned
+   * @param {string|number} [card.ttl] — "30m"|"24h"|"7d"|"2w", milliseconds, or ISO expiry
+   * @returns {Promise<{slug: string, updated: boolean, inverses?: string[], warnings?: Array}>} — `inverses`
+   *   lists cards given an inverse link (with `inverseLinks`); `warnings`
+   *   (rule violations for this card) only when the client has `rules`; with
+   *   `offlineQueue`, { slug, queued: true } when the write was queued (a
+   *   queued card's inverse links are not written to their targets)
+   * @throws {SchemaError} in schema mode, when the card breaks the workspace schema
    */
   async store(card) {
     if (!card.slug) throw new Error("card.slug required");
     if (!card.title) throw new Error("card.title required");
+    validateProvenance(card);
+    if (this.schema) assertValidCard(card, this.schema);
 
     // Auto-tag with agentId if set
     if (this.agentId) {
@@ -100,24 +345,247 @@ class HyperStackClient {
       }
     }
 
-    return this._request("POST", `/api/cards?workspace=${this.workspace}`, card);
+    // Paired links whose inverse is written onto the target card; in
+    // "normalize" mode the inverse-form link then moves there entirely
+    let mirrored = [];
+    let targets = new Map();
+    if (this.inverseLinks) {
+      mirrored = (card.links || []).filter(l =>
+        this.inverseLinks === "write" ? inverseOf(l.relation) : isInverse(l.relation));
+      try {
+        targets = await this._getMany(mirrored.map(l => l.target));
+      } catch (err) {
+        // Offline: queue the card as given. Its inverses aren't written, but
+        // reads pair both directions, so the link still counts.
+        if (!(this._queue && err instanceof NetworkError)) throw err;
+        return this._enqueue("POST", `/api/cards?workspace=${this.workspace}`, card);
+      }
+      mirrored = mirrored.filter(l => targets.has(l.target));
+      if (this.inverseLinks === "normalize" && mirrored.length) card.links = card.links.filter(l => !mirrored.includes(l));
+    }
+
+    const result = await this._request("POST", `/api/cards?workspace=${this.workspace}`, card);
+    if (result.queued) return result;
+    if (this.inverseLinks) result.inverses = await this._writeInverses(card.slug, mirrored, targets);
+    if (!this.rules) return result;
+    return { ...result, warnings: await this._ruleWarnings(card) };
+  }
+
+  /**
+   * Add the inverse of each link to its target card, unless it's there.
+   * @private
+   * @returns {Promise<string[]>} slugs of the cards that were updated
+   */
+  async _writeInverses(slug, links, targets) {
+    const updated = [];
+    for (const link of links) {
+      const target = targets.get(link.target);
+      const inverse = inverseOf(link.relation);
+      if ((target.links || []).some(l => l.relation === inverse && l.target === slug)) continue;
+      target.links = [...(target.links || []), { target: slug, relation: inverse }];
+      await this._request("POST", `/api/cards?workspace=${this.workspace}`, {
+        slug: target.slug,
+        title: target.title,
+        links: target.links,
+      });
+      if (!updated.includes(target.slug)) updated.push(target.slug);
+    }
+    return updated;
+  }
+
+  /**
+   * Fetch several cards, skipping ones that don't exist.
+   * @private
+   * @returns {Promise<Map<string, object>>}
+   */
+  async _getMany(slugs) {
+    const cards = new Map();
+    for (const slug of new Set(slugs)) {
+      try {
+        cards.set(slug, await this.get(slug));
+      } catch (err) {
+        if (!(err instanceof NotFoundError)) throw err;
+      }
+    }
+    return cards;
+  }
+
+  /**
+   * Evaluate the client's rules against one just-stored card. The card is
+   * re-read so partial upserts are checked as merged; incoming links are
+   * the card's own inverse-form links (a `blocked_by` is an incoming
+   * `blocks`) plus those from a depth-1 impact query, when the plan has one.
+   * @private
+   */
+  async _ruleWarnings(card) {
+    const stored = { ...card, ...(await this.get(card.slug)) };
+    const [context] = buildContexts([stored]);
+    const incomingLinks = [...context.incomingLinks];
+    try {
+      const { edges = [] } = await this.impact(card.slug, { depth: 1 });
+      for (const e of edges) {
+        if (e.to !== card.slug) continue;
+        if (incomingLinks.some(l => l.from === e.from && l.relation === e.relation)) continue;
+        incomingLinks.push({ from: e.from, relation: e.relation });
+      }
+    } catch (err) {
+      if (!(err instanceof PlanLimitError)) throw err;
+    }
+    const { violations } = runRules(this.rules, [{ ...context, incomingLinks }]);
+    return violations;
+  }
+
+  /**
+   * Check every card in the workspace against template rules.
+   * @param {object[]} [rules] — defaults to the client's rules, else .hyperstack/config.json
+   * @returns {Promise<{violations: Array<{slug: string, rule: string, description: string, suggest: string}>, errors: Array<{rule: string, message: string}>, cardsChecked: number}>}
+   */
+  async lint(rules = this.rules || loadRules()) {
+    const cards = [];
+    for await (const card of this.iterate()) cards.push(card);
+    return { ...runRules(rules, buildContexts(cards)), cardsChecked: cards.length };
+  }
+
+  /**
+   * Store many cards with bounded concurrency. Never aborts on a failed
+   * card; every card gets a result in input order.
+   * @param {object[]} cards
+   * @param {object} [opts]
+   * @param {number} [opts.concurrency=4] — parallel requests
+   * @param {function} [opts.onProgress] — called after each card with
+   *   { done, total, slug, ok, error }
+   * @returns {Promise<{results: Array<{slug: string, ok: boolean, result?: object, error?: Error}>, succeeded: number, failed: number}>}
+   * @throws {Error} if concurrency is not a positive integer
+   */
+  async storeMany(cards, opts = {}) {
+    const { concurrency = 4, onProgress } = opts;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+    }
+    const results = new Array(cards.length);
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (next < cards.length) {
+        const i = next++;
+        const card = cards[i];
+        try {
+          results[i] = { slug: card.slug, ok: true, result: await this.store(card) };
+        } catch (error) {
+          results[i] = { slug: card?.slug, ok: false, error };
+        }
+        done++;
+        if (onProgress) onProgress({ done, total: cards.length, slug: card?.slug, ok: results[i].ok, error: results[i].error });
+      }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, cards.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const succeeded = results.filter(r => r.ok).length;
+    return { results, succeeded, failed: results.length - succeeded };
+  }
+
+  /**
+   * Fetch a single card by slug.
+   * @param {string} slug
+   * @returns {Promise<object>} the card
+   */
+  async get(slug) {
+    const result = await this._request("GET", `/api/cards?workspace=${this.workspace}&id=${encodeURIComponent(slug)}`);
+    return result.card || result;
+  }
+
+  /**
+   * Promote a card to truthStratum "confirmed" and record who verified it.
+   * Only the provenance fields are sent, so the card's owner tags are kept.
+   * @param {string} slug
+   * @param {object} opts
+   * @param {string} opts.verifiedBy — e.g. "human:deeq", "tool:web_search"
+   * @param {number} [opts.confidence] — updated certainty (0.0-1.0)
+   * @returns {Promise<{slug: string, updated: boolean}>}
+   */
+  async verify(slug, { verifiedBy, confidence } = {}) {
+    if (!verifiedBy) throw new Error("verifiedBy required");
+    const card = await this.get(slug);
+    const update = { slug, title: card.title, truthStratum: "confirmed", verifiedBy };
+    if (confidence !== undefined) update.confidence = confidence;
+    validateProvenance(update);
+    return this._request("POST", `/api/cards?workspace=${this.workspace}`, update);
   }
 
   /**
    * Search cards by query (hybrid semantic + keyword).
    * @param {string} query
-   * @returns {Promise<{results: Array}>}
+   * @param {object} [opts]
+   * @param {string} [opts.sortBy] — "utility" ranks cards that helped agents succeed first
+   * @param {string} [opts.weightBy] — "utility" weights hybrid scores by utility
+   * @returns {Promise<{results: Array}>} — decisions that were replaced
+   *   come back with `superseded: true` and `supersededBy`
+   */
+  async search(query, opts = {}) {
+    let url = `/api/search?workspace=${this.workspace}&q=${encodeURIComponent(query)}`;
+    if (opts.sortBy) url += `&sortBy=${opts.sortBy}`;
+    if (opts.weightBy) url += `&weightBy=${opts.weightBy}`;
+    const result = await this._request("GET", url);
+    if (!result.results) return result;
+    return {
+      ...result,
+      results: result.results.map(c =>
+        c.meta?.supersededBy ? { ...c, superseded: true, supersededBy: c.meta.supersededBy } : c),
+    };
+  }
+
+  /**
+   * List cards in the workspace, one page at a time.
+   * Without `limit` the server returns its default page (the whole
+   * workspace on older servers); follow `nextCursor` for the rest.
+   * @param {object} [opts]
+   * @param {number} [opts.limit] — page size
+   * @param {string} [opts.cursor] — `nextCursor` from the previous page
+   * @param {number} [opts.page] — 1-based page number (alternative to cursor)
+   * @param {string} [opts.type] — filter by cardType
+   * @param {string} [opts.stack] — filter by stack
+   * @param {string} [opts.agent] — filter by owning agent ID
+   * @param {string} [opts.at] — ISO timestamp: the cards as they were then
+   * @returns {Promise<{cards: Array, count: number, limit: number, plan: string, nextCursor: string|null}>}
    */
-  async search(query) {
-    return this._request("GET", `/api/search?workspace=${this.workspace}&q=${encodeURIComponent(query)}`);
+  async list(opts = {}) {
+    let url = `/api/cards?workspace=${this.workspace}`;
+    if (opts.limit) url += `&limit=${opts.limit}`;
+    if (opts.cursor) url += `&cursor=${encodeURIComponent(opts.cursor)}`;
+    if (opts.page) url += `&page=${opts.page}`;
+    if (opts.type) url += `&type=${encodeURIComponent(opts.type)}`;
+    if (opts.stack) url += `&stack=${encodeURIComponent(opts.stack)}`;
+    if (opts.agent) url += `&agent=${encodeURIComponent(opts.agent)}`;
+    if (opts.at) url += `&at=${encodeURIComponent(opts.at)}`;
+    return this._request("GET", url);
   }
 
   /**
-   * List all cards in workspace.
-   * @returns {Promise<{cards: Array, count: number, plan: string}>}
+   * Stream every matching card, fetching pages lazily.
+   * @param {object} [opts]
+   * @param {string} [opts.type] — filter by cardType
+   * @param {string} [opts.stack] — filter by stack
+   * @param {string} [opts.agent] — filter by owning agent ID
+   * @param {string} [opts.at] — ISO timestamp: the cards as they were then
+   * @param {number} [opts.pageSize=100]
+   * @returns {AsyncGenerator<object>}
+   *
+   * @example
+   * for await (const card of hs.iterate({ type: "decision" })) {
+   *   console.log(card.slug);
+   * }
    */
-  async list() {
-    return this._request("GET", `/api/cards?workspace=${this.workspace}`);
+  async *iterate(opts = {}) {
+    const { pageSize = 100, ...filters } = opts;
+    let cursor;
+    do {
+      const page = await this.list({ ...filters, limit: pageSize, cursor });
+      for (const card of page.cards || []) yield card;
+      cursor = page.nextCursor;
+    } while (cursor);
   }
 
   /**
@@ -129,30 +597,186 @@ class HyperStackClient {
     return this._request("DELETE", `/api/cards?workspace=${this.workspace}&id=${slug}`);
   }
 
+  /**
+   * Watch the workspace for changes made by any agent. Uses the server's
+   * event feed when available, otherwise polls and diffs snapshots.
+   * Consume as an EventEmitter ("card.created", "card.updated",
+   * "card.deleted", "link.added", or "event" for all) or an async iterator.
+   * @param {object} [opts]
+   * @param {string[]} [opts.types] — only cards of these cardTypes
+   * @param {string[]} [opts.agents] — only cards owned by these agent IDs
+   * @param {string|Date} [opts.since] — also report changes made after this time
+   * @param {number} [opts.interval=5000] — poll interval in ms
+   * @returns {CardWatcher} call stop() when done
+   *
+   * @example
+   * for await (const event of hs.watch({ types: ["blocker", "decision"] })) {
+   *   console.log(event.type, event.slug);
+   * }
+   */
+  watch(opts = {}) {
+    return new CardWatcher(this, opts);
+  }
+
+  /**
+   * Check the whole workspace for dangling links, relation cycles, orphan
+   * cards, duplicate titles and task statuses that contradict their
+   * blockers.
+   * @param {object} [opts]
+   * @param {boolean} [opts.fix=false] — apply the safe repairs (drop dangling
+   *   links, correct contradicted statuses)
+   * @returns {Promise<{cardsChecked: number, issues: Array<{type: string, severity: string, slug: string, message: string, fix?: object}>, fixed: string[]}>}
+   *   `fixed` lists the slugs of repaired cards
+   */
+  async checkIntegrity({ fix = false } = {}) {
+    const cards = [];
+    for await (const card of this.iterate()) cards.push(card);
+    const issues = checkIntegrity(cards);
+    const fixed = [];
+
+    if (fix) {
+      // One write per card, combining its fixes; only the repaired fields are sent
+      const changes = new Map();
+      for (const issue of issues.filter(i => i.fix)) {
+        changes.set(issue.slug, { ...changes.get(issue.slug), ...issue.fix });
+      }
+      const bySlug = new Map(cards.map(c => [c.slug, c]));
+      for (const [slug, change] of changes) {
+        await this._request("POST", `/api/cards?workspace=${this.workspace}`, { slug, title: bySlug.get(slug).title, ...change });
+        fixed.push(slug);
+      }
+    }
+
+    return { cardsChecked: cards.length, issues, fixed };
+  }
+
+  // ─── Offline Queue ───────────────────────────────────
+
+  /**
+   * Writes waiting in the offline queue, oldest first.
+   * @returns {Array<{method: string, slug: string, queuedAt: string}>}
+   */
+  pending() {
+    return this._queue ? this._queue.list() : [];
+  }
+
+  /**
+   * Replay queued writes in order. A write is a conflict when the card
+   * changed on the server after it was queued; conflicts stay queued (and
+   * nothing is overwritten) unless `force` is set. Stops early, keeping
+   * the rest, if the server is still unreachable.
+   * @param {object} [opts]
+   * @param {boolean} [opts.force=false] — apply conflicting writes anyway
+   * @returns {Promise<{applied: Array, conflicts: Array, failed: Array, remaining: number, offline: boolean}>}
+   */
+  async flush({ force = false } = {}) {
+    if (!this._queue) throw new Error("flush() needs the offlineQueue option");
+    const queued = this._queue.list();
+    const applied = [];
+    const conflicts = [];
+    const failed = [];
+    const keep = [];
+    let offline = false;
+
+    for (let i = 0; i < queued.length; i++) {
+      const op = queued[i];
+      const summary = { slug: op.slug, method: op.method, queuedAt: op.queuedAt };
+      try {
+        if (!force) {
+          const remote = await this._remoteCard(op.slug);
+          if (remote?.updatedAt && Date.parse(remote.updatedAt) > Date.parse(op.queuedAt)) {
+            conflicts.push({ ...summary, remoteUpdatedAt: remote.updatedAt });
+            keep.push(op);
+            continue;
+          }
+        }
+        await this._request(op.method, op.path, op.body, { noQueue: true });
+        applied.push(summary);
+      } catch (err) {
+        if (err instanceof NetworkError) {
+          offline = true;
+          keep.push(...queued.slice(i));
+          break;
+        }
+        // Deleting a card that's already gone is a success
+        if (op.method === "DELETE" && err instanceof NotFoundError) applied.push(summary);
+        else failed.push({ ...summary, error: err });
+      }
+    }
+
+    this._queue.replace(keep);
+    return { applied, conflicts, failed, remaining: keep.length, offline };
+  }
+
+  /**
+   * The server's copy of a card, or null. Bypasses the cache.
+   * @private
+   */
+  async _remoteCard(slug) {
+    try {
+      const result = await this._call("GET", `/api/cards?workspace=${this.workspace}&id=${encodeURIComponent(slug)}`);
+      return result.card || result;
+    } catch (err) {
+      if (err instanceof NotFoundError) return null;
+      throw err;
+    }
+  }
+
   // ─── Graph ───────────────────────────────────────────
 
   /**
    * Traverse the knowledge graph from a starting card.
+   * Inverse relations count as one fact: filtering by "blocks" also
+   * follows "blocked_by" links, and edges come back in canonical direction
+   * (see src/relations.js).
    * @param {string} from — starting card slug
    * @param {object} [opts]
    * @param {number} [opts.depth=1] — hops to traverse (1-3)
    * @param {string} [opts.relation] — filter by relation type
    * @param {string} [opts.type] — filter by card type
    * @param {string} [opts.at] — ISO timestamp for time-travel
+   * @param {string} [opts.weightBy] — "utility" traverses highest-value edges first
+   * @param {string} [opts.sortBy] — "utility" orders nodes by utility score
    * @returns {Promise<{nodes: Array, edges: Array}>}
    */
   async graph(from, opts = {}) {
+    const relations = opts.relation ? withInverse(opts.relation) : [undefined];
+    const results = await Promise.all(relations.map(relation => this._graph(from, { ...opts, relation })));
+
+    const nodes = new Map();
+    for (const result of results) {
+      for (const node of result.nodes || []) if (!nodes.has(node.slug)) nodes.set(node.slug, node);
+    }
+    const merged = {
+      ...results[0],
+      nodes: [...nodes.values()],
+      edges: normalizeEdges(results.flatMap(r => r.edges || [])),
+    };
+    if (opts.sortBy === "utility" && results.length > 1) {
+      merged.nodes.sort((a, b) => (b.utilityScore ?? 0.5) - (a.utilityScore ?? 0.5));
+    }
+    return merged;
+  }
+
+  /** @private */
+  async _graph(from, opts) {
     let url = `/api/graph?workspace=${this.workspace}&from=${from}`;
     if (opts.depth) url += `&depth=${opts.depth}`;
     if (opts.relation) url += `&relation=${opts.relation}`;
     if (opts.type) url += `&type=${opts.type}`;
     if (opts.at) url += `&at=${encodeURIComponent(opts.at)}`;
+    if (opts.weightBy) url += `&weightBy=${opts.weightBy}`;
+    if (opts.sortBy) url += `&sortBy=${opts.sortBy}`;
     return this._request("GET", url);
   }
 
   /**
    * Deterministic impact analysis — reverse traversal.
    * Answers: "what depends on X?" / "what would break if X changed?"
+   * Inverse pairs are walked client-side over canonical edges, so "what
+   * blocks X" finds both `Y blocks X` and `X blocked_by Y`, whichever card
+   * stored the link. That covers the unfiltered case too; only a relation
+   * without an inverse (e.g. depends_on) uses the server's traversal.
    * 
    * @param {string} slug — the card to analyse
    * @param {object} [opts]
@@ -171,9 +795,311 @@ class HyperStackClient {
    */
   async impact(slug, opts = {}) {
     const { depth = 2, relation } = opts;
-    let url = `/api/graph?workspace=${this.workspace}&from=${slug}&mode=impact&depth=${depth}`;
-    if (relation) url += `&relation=${encodeURIComponent(relation)}`;
-    return this._request("GET", url);
+    if (relation && !inverseOf(relation)) {
+      const url = `/api/graph?workspace=${this.workspace}&from=${slug}&mode=impact&depth=${depth}` +
+        `&relation=${encodeURIComponent(relation)}`;
+      return this._request("GET", url);
+    }
+
+    // A "blocked_by" link stored on the far card points the other way, so
+    // walk upstream over canonical edges from the graph around the card
+    // (which has links in both directions) instead. Asking for the inverse
+    // relation walks them downstream.
+    const hops = Math.min(Math.max(depth, 1), 3);
+    const graph = await this.graph(slug, { depth: hops, relation });
+    const bySlug = new Map((graph.nodes || []).map(n => [n.slug, n]));
+    const flipped = relation && isInverse(relation);
+    const near = e => (flipped ? e.from : e.to);
+    const far = e => (flipped ? e.to : e.from);
+    const seen = new Set([slug]);
+    const edges = [];
+    let frontier = [slug];
+    for (let hop = 0; hop < hops && frontier.length; hop++) {
+      const next = [];
+      for (const e of graph.edges) {
+        if (!frontier.includes(near(e))) continue;
+        edges.push(e);
+        if (!seen.has(far(e))) {
+          seen.add(far(e));
+          next.push(far(e));
+        }
+      }
+      frontier = next;
+    }
+    const nodes = [...seen].filter(s => s !== slug && bySlug.has(s)).map(s => bySlug.get(s));
+    return { root: slug, mode: "impact", nodes, edges: [...new Set(edges)] };
+  }
+
+  // ─── Utility Feedback ────────────────────────────────
+
+  /**
+   * Report whether the cards an agent had in context helped it succeed.
+   * Successes raise the cards' edge utility scores, failures decay them,
+   * which feeds sortBy/weightBy "utility" retrieval.
+   * @param {object} fb
+   * @param {string[]} fb.cardSlugs — cards that were in context
+   * @param {"success"|"failure"} fb.outcome
+   * @param {string} [fb.taskId] — task the outcome belongs to
+   * @returns {Promise<{feedback: boolean, outcome: string, cardsAffected: number, edgesUpdated: number}>}
+   */
+  async feedback({ cardSlugs, outcome, taskId } = {}) {
+    if (!Array.isArray(cardSlugs) || !cardSlugs.length) throw new Error("cardSlugs required");
+    if (!FEEDBACK_OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of: ${FEEDBACK_OUTCOMES.join(", ")}`);
+    }
+    const body = { cardSlugs, outcome };
+    if (taskId) body.taskId = taskId;
+    return this._request("POST", `/api/feedback?workspace=${this.workspace}`, body);
+  }
+
+  // ─── History ─────────────────────────────────────────
+
+  /**
+   * Every version of a card, oldest first, each with the field-level
+   * changes from the version before (see src/diff.js).
+   * @param {string} slug
+   * @returns {Promise<{slug: string, versions: Array<{version: number, at: string, card?: object, deleted?: boolean, changes: object[]}>}>}
+   */
+  async history(slug) {
+    if (!slug) throw new Error("slug required");
+    const result = await this._request("GET", `/api/history?workspace=${this.workspace}&id=${encodeURIComponent(slug)}`);
+    let previous = null;
+    const versions = (result.versions || []).map(v => {
+      const changes = v.deleted || !previous ? [] : diffCards(previous, v.card);
+      previous = v.deleted ? null : v.card;
+      return { ...v, changes };
+    });
+    return { ...result, versions };
+  }
+
+  /**
+   * Restore a card to an earlier version. The revert is itself a new
+   * version, so it can be undone the same way. Works on deleted cards.
+   * @param {string} slug
+   * @param {number} toVersion — from history()
+   * @returns {Promise<{slug: string, updated: boolean, revertedTo: number}>}
+   */
+  async revert(slug, toVersion) {
+    const { versions } = await this.history(slug);
+    const target = versions.find(v => v.version === Number(toVersion));
+    if (!target) throw new Error(`[${slug}] has no version ${toVersion} (versions 1-${versions.length})`);
+    if (target.deleted) throw new Error(`Version ${toVersion} of [${slug}] is its deletion — pick an earlier one`);
+
+    const { createdAt, updatedAt, verifiedAt, ...content } = target.card;
+    // Writes merge into the stored card, so clear fields the old version didn't have
+    const current = [...versions].reverse().find(v => v.card)?.card || {};
+    for (const field of Object.keys(current)) {
+      if (!(field in target.card)) content[field] = null;
+    }
+    const result = await this._request("POST", `/api/cards?workspace=${this.workspace}`, content);
+    return { ...result, revertedTo: target.version };
+  }
+
+  /**
+   * What changed in the workspace between two points in time.
+   * @param {string|Date} from
+   * @param {string|Date} [to=now]
+   * @returns {Promise<{from: string, to: string, added: Array, removed: Array, modified: Array<{slug: string, title: string, changes: object[]}>}>}
+   *
+   * @example
+   * const { modified } = await hs.diffAt("2026-10-01");
+   * for (const m of modified) console.log(m.slug, m.changes.map(c => c.field));
+   */
+  async diffAt(from, to) {
+    const start = toTimestamp(from, "from");
+    const end = to ? toTimestamp(to, "to") : new Date().toISOString();
+    const snapshot = async at => {
+      const cards = new Map();
+      for await (const card of this.iterate({ at })) cards.set(card.slug, card);
+      return cards;
+    };
+    const before = await snapshot(start);
+    const after = await snapshot(to ? end : undefined);
+    return { from: start, to: end, ...diffCardSets(before, after) };
+  }
+
+  // ─── Branching ───────────────────────────────────────
+
+  /**
+   * Fork the current workspace into a branch. All cards are copied;
+   * the parent is untouched. Requires Pro plan or above.
+   * @param {object} opts
+   * @param {string} opts.branchName — human-readable branch name
+   * @returns {Promise<{branchWorkspaceId: string, branchName: string, cardsCopied: number, forkedAt: string}>}
+   */
+  async fork({ branchName } = {}) {
+    if (!branchName) throw new Error("branchName required");
+    return this._request("POST", `/api/branches?workspace=${this.workspace}&action=fork`, { branchName });
+  }
+
+  /**
+   * What changed in a branch relative to its parent.
+   * @param {object} opts
+   * @param {string} opts.branchWorkspaceId
+   * @returns {Promise<{added: Array, modified: Array, removed: Array}>}
+   */
+  async diff({ branchWorkspaceId } = {}) {
+    if (!branchWorkspaceId) throw new Error("branchWorkspaceId required");
+    return this._request("GET", `/api/branches?workspace=${this.workspace}&action=diff&branch=${encodeURIComponent(branchWorkspaceId)}`);
+  }
+
+  /**
+   * Merge branch changes back into the parent workspace.
+   * "branch-wins" applies every added/modified card; "parent-wins" only
+   * copies cards the parent doesn't have and reports the rest as conflicts.
+   * @param {object} opts
+   * @param {string} opts.branchWorkspaceId
+   * @param {"branch-wins"|"parent-wins"} [opts.strategy="branch-wins"]
+   * @returns {Promise<{merged: number, conflicts: number, strategy: string}>}
+   */
+  async merge({ branchWorkspaceId, strategy = "branch-wins" } = {}) {
+    if (!branchWorkspaceId) throw new Error("branchWorkspaceId required");
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(`strategy must be one of: ${MERGE_STRATEGIES.join(", ")}`);
+    }
+    return this._request("POST", `/api/branches?workspace=${this.workspace}&action=merge`, { branchWorkspaceId, strategy });
+  }
+
+  /**
+   * Delete a branch and all its cards. The parent is untouched.
+   * @param {object} opts
+   * @param {string} opts.branchWorkspaceId
+   * @returns {Promise<{discarded: boolean, branchWorkspaceId: string, parentSlug: string}>}
+   */
+  async discard({ branchWorkspaceId } = {}) {
+    if (!branchWorkspaceId) throw new Error("branchWorkspaceId required");
+    return this._request("POST", `/api/branches?workspace=${this.workspace}&action=discard`, { branchWorkspaceId });
+  }
+
+  /**
+   * List branches forked from the current workspace.
+   * @returns {Promise<{branches: Array<{branchWorkspaceId: string, branchName: string, forkedAt: string}>}>}
+   */
+  async branches() {
+    return this._request("GET", `/api/branches?workspace=${this.workspace}&action=list`);
+  }
+
+  // ─── Tasks ───────────────────────────────────────────
+
+  /**
+   * Create a task card (openclaw-multiagent `task` type).
+   * @param {object} task
+   * @param {string} task.slug
+   * @param {string} task.title
+   * @param {string} [task.body]
+   * @param {string} [task.status="todo"] — todo|in-progress|blocked|done|cancelled
+   * @param {string} [task.priority] — e.g. low|medium|high
+   * @param {string} [task.assignee] — agent ID; adds an assigned_to link to agent-<id>
+   * @param {string} [task.deadline] — ISO date
+   * @param {string} [task.parent] — slug of the task/goal this is a subtask of
+   * @param {string[]} [task.dependsOn] — slugs this task depends on
+   * @returns {Promise<{slug: string, updated: boolean}>}
+   */
+  async createTask(task = {}) {
+    const { slug, title, body, status = "todo", priority, assignee, deadline, parent, dependsOn = [] } = task;
+    if (!TASK_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${TASK_STATUSES.join(", ")}`);
+    }
+    const meta = { status };
+    if (priority) meta.priority = priority;
+    if (assignee) meta.assignee = assignee;
+    if (deadline) meta.deadline = deadline;
+
+    const links = [];
+    if (assignee) links.push({ target: `agent-${assignee}`, relation: "assigned_to" });
+    if (parent) links.push({ target: parent, relation: "subtask_of" });
+    for (const d of dependsOn) links.push({ target: d, relation: "depends_on" });
+
+    return this.store({
+      slug,
+      title,
+      body: body || "",
+      cardType: "task",
+      stack: "projects",
+      links,
+      meta,
+      keywords: task.keywords || [],
+    });
+  }
+
+  /**
+   * Assign a task to an agent, replacing any previous assigned_to link.
+   * @param {string} slug — task slug
+   * @param {string|null} agentId — null unassigns
+   * @returns {Promise<{slug: string, updated: boolean, assignee: string|null}>}
+   */
+  async assign(slug, agentId) {
+    const task = await this._getTask(slug);
+    const links = (task.links || []).filter(l => l.relation !== "assigned_to");
+    const meta = { ...task.meta };
+    delete meta.assignee;
+    if (agentId) {
+      links.push({ target: `agent-${agentId}`, relation: "assigned_to" });
+      meta.assignee = agentId;
+    }
+    const result = await this._updateTask(task, { links, meta });
+    return { ...result, assignee: agentId || null };
+  }
+
+  /**
+   * Move a task to a new status, enforcing the lifecycle:
+   * todo → in-progress → done, with blocked/cancelled on the side and
+   * done/cancelled only reopening to todo.
+   * @param {string} slug — task slug
+   * @param {string} status — todo|in-progress|blocked|done|cancelled
+   * @param {object} [opts]
+   * @param {boolean} [opts.force=false] — skip the transition check
+   * @returns {Promise<{slug: string, updated: boolean, from: string, to: string}>}
+   */
+  async setStatus(slug, status, { force = false } = {}) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${TASK_STATUSES.join(", ")}`);
+    }
+    const task = await this._getTask(slug);
+    const from = task.meta?.status || "todo";
+    if (!force && from !== status && !TASK_TRANSITIONS[from]?.includes(status)) {
+      throw new Error(
+        `Can't move [${slug}] from ${from} to ${status} (allowed: ${(TASK_TRANSITIONS[from] || []).join(", ") || "none"})`
+      );
+    }
+    const meta = { ...task.meta, status, statusChangedAt: new Date().toISOString() };
+    const result = await this._updateTask(task, { meta });
+    return { ...result, from, to: status };
+  }
+
+  /**
+   * Order the open tasks under a goal into parallel waves using their
+   * depends_on, blocks and subtask_of links. Reads the whole workspace.
+   * @param {string} goalSlug — goal (or parent task) to plan
+   * @returns {Promise<{goal: object, waves: Array<Array<object>>, criticalPath: string[], ready: Array, inProgress: Array, done: Array, cycles: string[]}>}
+   *   `ready` tasks have every prerequisite done; `cycles` lists tasks that
+   *   can't be ordered because their dependencies loop
+   */
+  async plan(goalSlug) {
+    if (!goalSlug) throw new Error("goalSlug required");
+    const cards = [];
+    for await (const card of this.iterate()) cards.push(card);
+    return buildPlan(goalSlug, cards);
+  }
+
+  /** @private */
+  async _getTask(slug) {
+    if (!slug) throw new Error("slug required");
+    const card = await this.get(slug);
+    if ((card.cardType || "general") !== "task") {
+      throw new Error(`[${slug}] is a ${card.cardType || "general"} card, not a task`);
+    }
+    return card;
+  }
+
+  /**
+   * Write only the changed fields, like verify(), so the task keeps its
+   * owner's agent tags.
+   * @private
+   */
+  async _updateTask(task, changes) {
+    if (this.schema) assertValidCard({ ...task, ...changes }, this.schema);
+    return this._request("POST", `/api/cards?workspace=${this.workspace}`, { slug: task.slug, title: task.title, ...changes });
   }
 
   // ─── Multi-Agent Helpers ──────────────────────────────
@@ -187,6 +1113,7 @@ class HyperStackClient {
   async blockers(slug) {
     try {
       const result = await this.graph(slug, { depth: 2, relation: "blocks" });
+      // Edges are canonical, so this includes the card's own blocked_by links
       const blockers = (result.edges || [])
         .filter(e => e.relation === "blocks" && e.to === slug)
         .map(e => {
@@ -196,14 +1123,18 @@ class HyperStackClient {
       return { blockers, graph: result };
     } catch (err) {
       // If graph API not available (free tier), fallback to search
-      if (err.status === 403) {
+      if (err instanceof PlanLimitError) {
         const searchResult = await this.search(`blocks ${slug}`);
-        return {
-          blockers: (searchResult.results || []).filter(c =>
-            c.links?.some(l => l.relation === "blocks" && l.target === slug)
-          ),
-          fallback: true,
-        };
+        const blockers = (searchResult.results || []).filter(c =>
+          c.links?.some(l => l.relation === "blocks" && l.target === slug)
+        );
+        const card = await this.get(slug);
+        for (const link of card.links || []) {
+          if (link.relation === "blocked_by" && !blockers.some(b => b.slug === link.target)) {
+            blockers.push({ slug: link.target });
+          }
+        }
+        return { blockers, fallback: true };
       }
       throw err;
     }
@@ -230,9 +1161,21 @@ class HyperStackClient {
    * @param {string} [decision.decidedBy] — agent/person slug
    * @param {string[]} [decision.affects] — slugs of affected cards
    * @param {string[]} [decision.blocks] — slugs of things this blocks
+   * @param {string} [decision.supersedes] — slug of the decision this replaces;
+   *   that card is marked superseded
    * @param {object} [decision.meta]
+   * @returns {Promise<{slug: string, updated: boolean, superseded?: string}>}
    */
   async decide(decision) {
+    let previous = null;
+    if (decision.supersedes) {
+      if (decision.supersedes === decision.slug) throw new Error("A decision can't supersede itself");
+      previous = await this.get(decision.supersedes);
+      if (previous.cardType !== "decision") {
+        throw new Error(`[${decision.supersedes}] is a ${previous.cardType || "general"} card, not a decision`);
+      }
+    }
+
     const links = [];
     if (decision.decidedBy) {
       links.push({ target: decision.decidedBy, relation: "decided" });
@@ -247,17 +1190,77 @@ class HyperStackClient {
         links.push({ target: b, relation: "blocks" });
       }
     }
+    if (previous) {
+      links.push({ target: previous.slug, relation: "supersedes" });
+    }
 
-    return this.store({
+    const decidedAt = new Date().toISOString();
+    const result = await this.store({
       slug: decision.slug,
       title: decision.title,
       body: decision.body,
       cardType: "decision",
       stack: "decisions",
       links,
-      meta: { ...decision.meta, decidedAt: new Date().toISOString() },
+      meta: { ...decision.meta, decidedAt },
       keywords: decision.keywords || [],
     });
+    if (!previous) return result;
+
+    // Only meta is sent, so the old decision keeps its owner tags
+    await this._request("POST", `/api/cards?workspace=${this.workspace}`, {
+      slug: previous.slug,
+      title: previous.title,
+      meta: { ...previous.meta, superseded: true, supersededBy: decision.slug, supersededAt: decidedAt },
+    });
+    return { ...result, superseded: previous.slug };
+  }
+
+  /**
+   * The chain of decisions a decision belongs to, oldest first: what it
+   * replaced (via `supersedes` links) and what replaced it.
+   * @param {string} slug — any decision in the chain
+   * @returns {Promise<{current: string, chain: Array<{slug: string, title: string, rationale: string, decidedAt: string|null, supersededAt: string|null, supersededBy: string|null}>}>}
+   *   `current` is the decision still in force
+   */
+  async decisionLineage(slug) {
+    const start = await this.get(slug);
+    const entry = card => ({
+      slug: card.slug,
+      title: card.title,
+      rationale: card.body || "",
+      decidedAt: card.meta?.decidedAt || card.createdAt || null,
+      supersededAt: card.meta?.supersededAt || null,
+      supersededBy: card.meta?.supersededBy || null,
+    });
+    // Cards that have been deleted end the chain rather than failing it
+    const tryGet = async s => {
+      try {
+        return await this.get(s);
+      } catch (err) {
+        if (err instanceof NotFoundError) return null;
+        throw err;
+      }
+    };
+
+    const seen = new Set([start.slug]);
+    const chain = [entry(start)];
+    for (let card = start; ;) {
+      const older = (card.links || []).find(l => l.relation === "supersedes" && !seen.has(l.target));
+      card = older && await tryGet(older.target);
+      if (!card) break;
+      seen.add(card.slug);
+      chain.unshift(entry(card));
+    }
+    for (let card = start; ;) {
+      const newer = card.meta?.supersededBy;
+      card = newer && !seen.has(newer) && await tryGet(newer);
+      if (!card) break;
+      seen.add(card.slug);
+      chain.push(entry(card));
+    }
+
+    return { current: chain[chain.length - 1].slug, chain };
   }
 
   /**
@@ -289,5 +1292,5 @@ class HyperStackClient {
   }
 }
 
-export { HyperStackClient };
+export { HyperStackClient, TASK_STATUSES, TASK_TRANSITIONS };
 export default HyperStackClient;
@@ -0,0 +1,131 @@
+/**
+ * hyperstack-core — project config discovery and settings precedence
+ *
+ * `init` writes .hyperstack/config.json at a project's root. The CLI and
+ * client find the nearest one by walking up from the working directory,
+ * so commands run anywhere inside the project pick up its workspace.
+ *
+ * Each setting resolves from the first source that has it:
+ *
+ *   flag / option  →  env var  →  project config  →  profile  →  default
+ *
+ * The API key is never read from project config: it gets committed.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { join, dirname, resolve, isAbsolute } from "path";
+import { loadCredentials, getProfile, DEFAULT_PROFILE } from "./credentials.js";
+
+const CONFIG_DIR = ".hyperstack";
+const CONFIG_FILE = "config.json";
+const DEFAULT_BASE_URL = "https://hyperstack-cloud.vercel.app";
+const FILE_PREFIX = "file://";
+
+/**
+ * Settings that can be resolved, with where each one can come from.
+ * `profileKey` is the field in a saved profile; null means profiles don't hold it.
+ */
+const SETTINGS = {
+  profile:   { env: "HYPERSTACK_PROFILE",   profileKey: null,        fallback: DEFAULT_PROFILE },
+  workspace: { env: "HYPERSTACK_WORKSPACE", profileKey: "workspace", fallback: "default" },
+  baseUrl:   { env: "HYPERSTACK_BASE_URL",  profileKey: "base_url",  fallback: DEFAULT_BASE_URL },
+  agentId:   { env: "HYPERSTACK_AGENT_SLUG", profileKey: null,       fallback: null },
+};
+
+/**
+ * The nearest .hyperstack/config.json at or above a directory.
+ * @param {string} [cwd=process.cwd()]
+ * @returns {{root: string, file: string, config: object}|null}
+ */
+function findProjectConfig(cwd = process.cwd()) {
+  for (let dir = resolve(cwd); ; dir = dirname(dir)) {
+    const file = join(dir, CONFIG_DIR, CONFIG_FILE);
+    if (existsSync(file)) {
+      let config;
+      try {
+        config = JSON.parse(readFileSync(file, "utf-8"));
+      } catch (err) {
+        throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+      }
+      return { root: dir, file, config };
+    }
+    if (dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * Directory holding the project's .hyperstack/, or cwd when there is none.
+ * @param {string} [cwd=process.cwd()]
+ */
+function projectRoot(cwd = process.cwd()) {
+  return findProjectConfig(cwd)?.root || resolve(cwd);
+}
+
+/**
+ * A project config value. A relative file:// graph is relative to the
+ * project root, not to wherever the command runs.
+ * @private
+ */
+function fromProject(key, project) {
+  const value = project.config[key];
+  if (key !== "baseUrl" || !value.startsWith(FILE_PREFIX)) return value;
+  const path = value.slice(FILE_PREFIX.length);
+  return isAbsolute(path) ? value : FILE_PREFIX + resolve(project.root, path);
+}
+
+/**
+ * Work out every setting and where it came from.
+ * @param {object} [explicit] — flags or constructor options, e.g. { workspace: "x" }
+ * @param {object} [opts]
+ * @param {string} [opts.cwd=process.cwd()]
+ * @param {string} [opts.explicitSource="option"] — how explicit values are labelled
+ * @returns {Object<string, {value: *, source: string}>}
+ */
+function resolveSettings(explicit = {}, { cwd = process.cwd(), explicitSource = "option" } = {}) {
+  const project = findProjectConfig(cwd);
+  const settings = {};
+
+  const pick = (key, profile) => {
+    const spec = SETTINGS[key];
+    if (explicit[key]) return { value: explicit[key], source: explicitSource };
+    if (process.env[spec.env]) return { value: process.env[spec.env], source: `env ${spec.env}` };
+    if (project?.config[key]) return { value: fromProject(key, project), source: `project ${project.file}` };
+    if (key === "profile") {
+      const { current, profiles } = loadCredentials();
+      if (profiles[current]) return { value: current, source: "credentials (current profile)" };
+    }
+    if (spec.profileKey && profile?.[spec.profileKey]) {
+      return { value: profile[spec.profileKey], source: `profile ${profile.name}` };
+    }
+    return { value: spec.fallback, source: "default" };
+  };
+
+  settings.profile = pick("profile");
+  const profile = getProfile(settings.profile.value);
+  for (const key of Object.keys(SETTINGS)) {
+    if (key !== "profile") settings[key] = pick(key, profile);
+  }
+  return settings;
+}
+
+/**
+ * Write one setting to the nearest project config, creating
+ * .hyperstack/config.json in cwd if there is none.
+ * @param {string} key — one of SETTINGS
+ * @param {string|null} value — null removes the key
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string} the file written
+ */
+function setProjectSetting(key, value, cwd = process.cwd()) {
+  if (!SETTINGS[key]) throw new Error(`Unknown setting "${key}" (settable: ${Object.keys(SETTINGS).join(", ")})`);
+  const project = findProjectConfig(cwd);
+  const file = project?.file || join(resolve(cwd), CONFIG_DIR, CONFIG_FILE);
+  const config = { ...project?.config };
+  if (value === null) delete config[key];
+  else config[key] = value;
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(config, null, 2));
+  return file;
+}
+
+export { SETTINGS, DEFAULT_BASE_URL, findProjectConfig, projectRoot, resolveSettings, setProjectSetting };
@@ -0,0 +1,121 @@
+/**
+ * hyperstack-core — saved credentials and named profiles
+ *
+ * ~/.hyperstack/credentials.json holds one profile per account or server:
+ *
+ *   {
+ *     "current": "default",
+ *     "profiles": {
+ *       "default":  { "api_key": "hs_...", "user": {...}, "workspaces": [...] },
+ *       "selfhost": { "api_key": "hs_...", "base_url": "http://localhost:3000", "workspace": "infra" }
+ *     }
+ *   }
+ *
+ * The active profile is the one named by the caller, else HYPERSTACK_PROFILE,
+ * else `current` (src/config.js adds the project config in between). Files
+ * written before profiles existed (a bare `api_key`) are read as the
+ * "default" profile.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { join } from "path";
+import { homedir } from "os";
+
+const CREDENTIALS_DIR = join(homedir(), ".hyperstack");
+const CREDENTIALS_FILE = join(CREDENTIALS_DIR, "credentials.json");
+const DEFAULT_PROFILE = "default";
+const PROFILE_NAME = /^[\w.-]+$/;
+
+/**
+ * The whole credentials file, upgraded to the profiles layout.
+ * @returns {{current: string, profiles: Object<string, object>}}
+ */
+function loadCredentials() {
+  let raw = {};
+  try {
+    if (existsSync(CREDENTIALS_FILE)) raw = JSON.parse(readFileSync(CREDENTIALS_FILE, "utf-8"));
+  } catch {
+    // Unreadable credentials are the same as none
+  }
+  if (raw.profiles) return { current: raw.current || DEFAULT_PROFILE, profiles: raw.profiles };
+  const { current, ...legacy } = raw;
+  return {
+    current: DEFAULT_PROFILE,
+    profiles: legacy.api_key ? { [DEFAULT_PROFILE]: legacy } : {},
+  };
+}
+
+/** Write the credentials file, readable only by the user. */
+function saveCredentials(creds) {
+  if (!existsSync(CREDENTIALS_DIR)) mkdirSync(CREDENTIALS_DIR, { recursive: true });
+  writeFileSync(CREDENTIALS_FILE, JSON.stringify(creds, null, 2), { mode: 0o600 });
+}
+
+/**
+ * A saved profile, or null if there's no such profile.
+ * @param {string} [name] — defaults to the active profile
+ * @returns {{name: string, api_key?: string, base_url?: string, workspace?: string, user?: object, workspaces?: Array}|null}
+ */
+function getProfile(name) {
+  const profileName = name || process.env.HYPERSTACK_PROFILE || loadCredentials().current;
+  const profile = loadCredentials().profiles[profileName];
+  return profile ? { name: profileName, ...profile } : null;
+}
+
+/**
+ * All saved profiles, marking the one `current` points at.
+ * @returns {Array<object>}
+ */
+function listProfiles() {
+  const { current, profiles } = loadCredentials();
+  return Object.entries(profiles).map(([name, p]) => ({ name, current: name === current, ...p }));
+}
+
+/**
+ * Create or update a profile. Fields set to undefined are removed.
+ * @param {string} name
+ * @param {object} fields
+ * @param {object} [opts]
+ * @param {boolean} [opts.makeCurrent=false]
+ */
+function saveProfile(name, fields, { makeCurrent = false } = {}) {
+  if (!PROFILE_NAME.test(name)) throw new Error(`Invalid profile name "${name}" — use letters, digits, ".", "_" and "-"`);
+  const creds = loadCredentials();
+  const profile = { ...creds.profiles[name], ...fields };
+  for (const key of Object.keys(profile)) {
+    if (profile[key] === undefined) delete profile[key];
+  }
+  creds.profiles[name] = profile;
+  // The first profile saved becomes current
+  if (makeCurrent || !creds.profiles[creds.current]) creds.current = name;
+  saveCredentials(creds);
+  return { name, ...profile };
+}
+
+/** Make a saved profile the default for later commands. */
+function useProfile(name) {
+  const creds = loadCredentials();
+  if (!creds.profiles[name]) throw new Error(`No profile named "${name}"`);
+  creds.current = name;
+  saveCredentials(creds);
+}
+
+/** Delete a profile. If it was current, "default" becomes current. */
+function removeProfile(name) {
+  const creds = loadCredentials();
+  if (!creds.profiles[name]) throw new Error(`No profile named "${name}"`);
+  delete creds.profiles[name];
+  if (creds.current === name) creds.current = DEFAULT_PROFILE;
+  saveCredentials(creds);
+}
+
+export {
+  CREDENTIALS_FILE,
+  DEFAULT_PROFILE,
+  loadCredentials,
+  getProfile,
+  listProfiles,
+  saveProfile,
+  useProfile,
+  removeProfile,
+};
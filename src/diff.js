@@ -0,0 +1,85 @@
+/**
+ * hyperstack-core — field-level card diffs
+ *
+ * What changed between two versions of a card, as a list of changes:
+ *
+ *   { field: "title", before, after }
+ *   { field: "links", added: [...], removed: [...] }
+ *   { field: "meta.status", before, after }   — one per changed meta key
+ *
+ * Other top-level fields (body, cardType, keywords, ...) are reported like
+ * title. Timestamps and utility scores change on their own and are ignored.
+ */
+
+const IGNORED_FIELDS = new Set(["slug", "createdAt", "updatedAt", "verifiedAt", "utilityScore", "links", "meta"]);
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function linkKey(link) {
+  return `${link.relation || "related"}\u0000${link.target}`;
+}
+
+/**
+ * Changes from one version of a card to the next.
+ * @param {object|null} before — null for a card that didn't exist
+ * @param {object|null} after — null for a deleted card
+ * @returns {object[]}
+ */
+function diffCards(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const changes = [];
+
+  // title and body first, the rest in a stable order
+  const fields = [...new Set(["title", "body", ...Object.keys(a), ...Object.keys(b)])]
+    .filter(f => !IGNORED_FIELDS.has(f));
+  for (const field of fields) {
+    if (!same(a[field], b[field])) changes.push({ field, before: a[field], after: b[field] });
+  }
+
+  const oldLinks = new Map((a.links || []).map(l => [linkKey(l), l]));
+  const newLinks = new Map((b.links || []).map(l => [linkKey(l), l]));
+  const strip = l => ({ target: l.target, relation: l.relation || "related" });
+  const added = [...newLinks].filter(([k]) => !oldLinks.has(k)).map(([, l]) => strip(l));
+  const removed = [...oldLinks].filter(([k]) => !newLinks.has(k)).map(([, l]) => strip(l));
+  if (added.length || removed.length) changes.push({ field: "links", added, removed });
+
+  const oldMeta = a.meta || {};
+  const newMeta = b.meta || {};
+  for (const key of new Set([...Object.keys(oldMeta), ...Object.keys(newMeta)])) {
+    if (!same(oldMeta[key], newMeta[key])) {
+      changes.push({ field: `meta.${key}`, before: oldMeta[key], after: newMeta[key] });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two sets of cards (Map slug → card).
+ * @param {Map<string, object>} before
+ * @param {Map<string, object>} after
+ * @returns {{added: object[], removed: object[], modified: Array<{slug: string, title: string, changes: object[]}>}}
+ */
+function diffCardSets(before, after) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+  for (const [slug, card] of after) {
+    const previous = before.get(slug);
+    if (!previous) {
+      added.push(card);
+      continue;
+    }
+    const changes = diffCards(previous, card);
+    if (changes.length) modified.push({ slug, title: card.title, changes });
+  }
+  for (const [slug, card] of before) {
+    if (!after.has(slug)) removed.push(card);
+  }
+  return { added, removed, modified };
+}
+
+export { diffCards, diffCardSets };
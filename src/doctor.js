@@ -0,0 +1,193 @@
+/**
+ * hyperstack-core — graph integrity checks
+ *
+ *   dangling-link         a link points at a slug that doesn't exist
+ *   unregistered-agent    a link to an agent-<id> card nobody registered yet
+ *                         (assign, createTask and migrate make these)
+ *   cycle                 cards that reach themselves through one relation
+ *                         (blocks, depends_on, subtask_of — blocked_by
+ *                         links count as the blocks they mirror)
+ *   orphan                a card with no links in or out
+ *   duplicate-title       several cards with the same title
+ *   status-contradiction  a task marked blocked with nothing open blocking
+ *                         it, or an open task with an open blocker
+ *
+ * Dangling links and status contradictions have safe fixes — drop the
+ * link, correct the status. Agent links are never dropped: they are
+ * assignments waiting for the agent to register. The rest need a human (or agent) decision.
+ */
+
+import { isDone } from "./plan.js";
+import { normalizeEdges } from "./relations.js";
+
+const CYCLE_RELATIONS = ["blocks", "depends_on", "subtask_of"];
+const SEVERITY = {
+  "dangling-link": "error",
+  "unregistered-agent": "warning",
+  "cycle": "error",
+  "status-contradiction": "warning",
+  "duplicate-title": "warning",
+  "orphan": "info",
+};
+
+const AGENT_PREFIX = "agent-";
+
+/**
+ * Strongly connected components with more than one card (or a self-link),
+ * via Tarjan's algorithm. Iterative, so long chains can't overflow the stack.
+ * @private
+ */
+function findCycles(slugs, edges) {
+  let index = 0;
+  const indices = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const enter = slug => {
+    indices.set(slug, index);
+    low.set(slug, index++);
+    stack.push(slug);
+    onStack.add(slug);
+    return { slug, next: 0 };
+  };
+
+  for (const root of slugs) {
+    if (indices.has(root)) continue;
+    const frames = [enter(root)];
+    while (frames.length) {
+      const frame = frames[frames.length - 1];
+      const { slug } = frame;
+      const targets = edges.get(slug) || [];
+      if (frame.next < targets.length) {
+        const next = targets[frame.next++];
+        if (!indices.has(next)) frames.push(enter(next));
+        else if (onStack.has(next)) low.set(slug, Math.min(low.get(slug), indices.get(next)));
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length) {
+        const parent = frames[frames.length - 1].slug;
+        low.set(parent, Math.min(low.get(parent), low.get(slug)));
+      }
+      if (low.get(slug) === indices.get(slug)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== slug);
+        if (component.length > 1 || targets.includes(slug)) cycles.push(component.sort());
+      }
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Check a workspace's cards. Fixable issues carry `fix`: the fields to
+ * write back to that card.
+ * @param {object[]} cards — the whole workspace
+ * @returns {Array<{type: string, severity: string, slug: string, message: string, fix?: object}>}
+ */
+function checkIntegrity(cards) {
+  const bySlug = new Map(cards.map(c => [c.slug, c]));
+  const issues = [];
+  const incoming = new Map();
+  for (const card of cards) {
+    for (const link of card.links || []) {
+      if (!incoming.has(link.target)) incoming.set(link.target, []);
+      incoming.get(link.target).push({ from: card.slug, relation: link.relation });
+    }
+  }
+
+  for (const card of cards) {
+    const links = card.links || [];
+    const dangling = links.filter(l => !bySlug.has(l.target));
+    for (const link of dangling) {
+      if (link.target.startsWith(AGENT_PREFIX)) {
+        issues.push({
+          type: "unregistered-agent",
+          slug: card.slug,
+          message: `${link.relation} → ${link.target}, an agent with no card yet (register it with registerAgent)`,
+        });
+        continue;
+      }
+      issues.push({
+        type: "dangling-link",
+        slug: card.slug,
+        message: `${link.relation} → ${link.target}, which doesn't exist`,
+        fix: { links: links.filter(l => bySlug.has(l.target) || l.target.startsWith(AGENT_PREFIX)) },
+      });
+    }
+
+    if (!links.length && !incoming.has(card.slug)) {
+      issues.push({ type: "orphan", slug: card.slug, message: `${card.cardType || "general"} card has no links in or out` });
+    }
+
+    if (card.cardType === "task") {
+      const blockers = [
+        ...(incoming.get(card.slug) || []).filter(l => l.relation === "blocks").map(l => l.from),
+        ...links.filter(l => l.relation === "blocked_by").map(l => l.target),
+      ];
+      const open = blockers.filter(slug => bySlug.has(slug) && !isDone(bySlug.get(slug)));
+      const status = card.meta?.status || "todo";
+      if (status === "blocked" && !open.length) {
+        issues.push({
+          type: "status-contradiction",
+          slug: card.slug,
+          message: blockers.length ? "marked blocked, but all its blockers are done" : "marked blocked, but nothing blocks it",
+          fix: { meta: { ...card.meta, status: "todo" } },
+        });
+      } else if ((status === "todo" || status === "in-progress") && open.length) {
+        issues.push({
+          type: "status-contradiction",
+          slug: card.slug,
+          message: `${status}, but blocked by ${open.join(", ")}`,
+          fix: { meta: { ...card.meta, status: "blocked" } },
+        });
+      } else if (status === "done" && open.length) {
+        issues.push({ type: "status-contradiction", slug: card.slug, message: `done, but still blocked by ${open.join(", ")}` });
+      }
+    }
+  }
+
+  // One fact stored from either end is one edge: "B blocked_by A" is A → B
+  const canonical = normalizeEdges(cards.flatMap(card => (card.links || [])
+    .filter(l => bySlug.has(l.target))
+    .map(l => ({ from: card.slug, to: l.target, relation: l.relation }))));
+  for (const relation of CYCLE_RELATIONS) {
+    const edges = new Map();
+    for (const edge of canonical.filter(e => e.relation === relation)) {
+      if (!edges.has(edge.from)) edges.set(edge.from, []);
+      edges.get(edge.from).push(edge.to);
+    }
+    for (const cycle of findCycles([...edges.keys()], edges)) {
+      issues.push({ type: "cycle", slug: cycle[0], message: `${relation} cycle: ${[...cycle, cycle[0]].join(" → ")}`, cycle, relation });
+    }
+  }
+
+  const byTitle = new Map();
+  for (const card of cards) {
+    const key = (card.title || "").trim().toLowerCase();
+    if (!key) continue;
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(card.slug);
+  }
+  for (const slugs of byTitle.values()) {
+    if (slugs.length < 2) continue;
+    slugs.sort();
+    issues.push({
+      type: "duplicate-title",
+      slug: slugs[0],
+      message: `"${bySlug.get(slugs[0]).title}" is also the title of ${slugs.slice(1).join(", ")}`,
+    });
+  }
+
+  return issues.map(i => ({ ...i, severity: SEVERITY[i.type] }));
+}
+
+export { checkIntegrity };
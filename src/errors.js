@@ -0,0 +1,87 @@
+/**
+ * hyperstack-core — typed errors
+ *
+ * Everything the client throws for a failed API call is a HyperStackError,
+ * so callers can branch with `instanceof` instead of checking `err.status`.
+ * `status` and `body` are kept on every error for backwards compatibility.
+ */
+
+class HyperStackError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [opts]
+   * @param {number} [opts.status] — HTTP status, if there was a response
+   * @param {object} [opts.body] — parsed response body
+   * @param {Error} [opts.cause] — underlying error
+   */
+  constructor(message, opts = {}) {
+    super(message, opts.cause ? { cause: opts.cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = opts.status;
+    this.body = opts.body;
+  }
+}
+
+/** 401 — missing, invalid or revoked API key. */
+class HyperStackAuthError extends HyperStackError {}
+
+/** 404 — card, workspace or endpoint doesn't exist. */
+class NotFoundError extends HyperStackError {}
+
+/** 402/403 — feature or quota not available on the current plan. */
+class PlanLimitError extends HyperStackError {}
+
+/** 429 — too many requests. `retryAfter` is in milliseconds when known. */
+class RateLimitError extends HyperStackError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.retryAfter = opts.retryAfter ?? null;
+  }
+}
+
+/** No usable response: DNS, connection reset, timeout. */
+class NetworkError extends HyperStackError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.timeout = !!opts.timeout;
+  }
+}
+
+/**
+ * A card failed client-side schema validation (nothing was sent).
+ * `issues` lists every problem as { field, message, suggestion? }.
+ */
+class SchemaError extends HyperStackError {
+  constructor(message, opts = {}) {
+    super(message, opts);
+    this.issues = opts.issues || [];
+  }
+}
+
+/**
+ * Map a failed response onto the error hierarchy.
+ * @param {number} status
+ * @param {object} body — parsed body (may be {})
+ * @param {number|null} [retryAfter] — ms, from the Retry-After header
+ * @returns {HyperStackError}
+ */
+function errorFromResponse(status, body, retryAfter = null) {
+  const message = body?.error || `HTTP ${status}`;
+  const opts = { status, body };
+  if (status === 401) return new HyperStackAuthError(message, opts);
+  if (status === 404) return new NotFoundError(message, opts);
+  if (status === 402 || status === 403) return new PlanLimitError(message, opts);
+  if (status === 429) return new RateLimitError(message, { ...opts, retryAfter });
+  return new HyperStackError(message, opts);
+}
+
+export {
+  HyperStackError,
+  HyperStackAuthError,
+  NotFoundError,
+  PlanLimitError,
+  RateLimitError,
+  NetworkError,
+  SchemaError,
+  errorFromResponse,
+};
@@ -0,0 +1,158 @@
+/**
+ * hyperstack-core — graph serialisers for export
+ *
+ * Each formatter takes { nodes, edges } (nodes are cards, edges are
+ * { from, to, relation }) and returns a string. Output is sorted by slug
+ * so repeated exports diff cleanly in git. Edges are written in canonical
+ * direction (src/relations.js), so a `blocked_by` link comes out as the
+ * `blocks` edge it mirrors, whichever way the graph was read.
+ */
+
+import { normalizeEdges } from "./relations.js";
+
+const EXPORT_FORMATS = ["json", "jsonl", "graphml", "dot", "mermaid"];
+
+/**
+ * Derive edges from the cards' own links.
+ * @param {object[]} cards
+ * @returns {Array<{from: string, to: string, relation: string}>}
+ */
+function edgesFromCards(cards) {
+  const edges = [];
+  for (const card of cards) {
+    for (const link of card.links || []) {
+      if (link?.target) edges.push({ from: card.slug, to: link.target, relation: link.relation || "related" });
+    }
+  }
+  return edges;
+}
+
+/**
+ * Sort nodes/edges and add bare placeholder nodes for link targets that
+ * aren't in the set (deleted cards, or outside a --from subgraph).
+ * @private
+ */
+function prepare({ nodes, edges }) {
+  const bySlug = new Map(nodes.map(n => [n.slug, n]));
+  for (const e of edges) {
+    for (const slug of [e.from, e.to]) {
+      if (!bySlug.has(slug)) bySlug.set(slug, { slug, missing: true });
+    }
+  }
+  const sortedNodes = [...bySlug.values()].sort((a, b) => a.slug.localeCompare(b.slug));
+  const sortedEdges = normalizeEdges(edges).sort((a, b) =>
+    a.from.localeCompare(b.from) || a.relation.localeCompare(b.relation) || a.to.localeCompare(b.to));
+  return { nodes: sortedNodes, edges: sortedEdges };
+}
+
+function xml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function dotString(value) {
+  return `"${String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+// ─── Formats ─────────────────────────────────────────
+
+function toJSON(graph, meta = {}) {
+  const { nodes, edges } = prepare(graph);
+  return JSON.stringify({ ...meta, nodes: nodes.filter(n => !n.missing), edges }, null, 2) + "\n";
+}
+
+/** One card per line — the same shape `hyperstack-core import` reads. */
+function toJSONL(graph) {
+  const { nodes } = prepare(graph);
+  return nodes.filter(n => !n.missing).map(n => JSON.stringify(n)).join("\n") + "\n";
+}
+
+function toGraphML(graph) {
+  const { nodes, edges } = prepare(graph);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="title" for="node" attr.name="title" attr.type="string"/>',
+    '  <key id="cardType" for="node" attr.name="cardType" attr.type="string"/>',
+    '  <key id="stack" for="node" attr.name="stack" attr.type="string"/>',
+    '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+    '  <graph id="hyperstack" edgedefault="directed">',
+  ];
+  for (const n of nodes) {
+    lines.push(`    <node id="${xml(n.slug)}">`);
+    lines.push(`      <data key="title">${xml(n.title || n.slug)}</data>`);
+    if (n.cardType) lines.push(`      <data key="cardType">${xml(n.cardType)}</data>`);
+    if (n.stack) lines.push(`      <data key="stack">${xml(n.stack)}</data>`);
+    lines.push("    </node>");
+  }
+  edges.forEach((e, i) => {
+    lines.push(`    <edge id="e${i}" source="${xml(e.from)}" target="${xml(e.to)}">`);
+    lines.push(`      <data key="relation">${xml(e.relation)}</data>`);
+    lines.push("    </edge>");
+  });
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+function toDot(graph) {
+  const { nodes, edges } = prepare(graph);
+  const lines = ["digraph hyperstack {", "  rankdir=LR;", "  node [shape=box];"];
+  for (const n of nodes) {
+    const label = n.cardType ? `${n.title || n.slug}\n(${n.cardType})` : (n.title || n.slug);
+    const attrs = [`label=${dotString(label)}`];
+    if (n.cardType) attrs.push(`cardType=${dotString(n.cardType)}`);
+    if (n.stack) attrs.push(`stack=${dotString(n.stack)}`);
+    if (n.missing) attrs.push("style=dashed");
+    lines.push(`  ${dotString(n.slug)} [${attrs.join(", ")}];`);
+  }
+  for (const e of edges) {
+    lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)} [label=${dotString(e.relation)}];`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function toMermaid(graph) {
+  const { nodes, edges } = prepare(graph);
+  // Slugs may contain characters Mermaid treats as syntax, so use stable ids
+  const ids = new Map(nodes.map((n, i) => [n.slug, `n${i}`]));
+  // Mermaid entity codes, so titles can't inject markup or end the label
+  const label = text => String(text)
+    .replace(/&/g, "#38;").replace(/</g, "#60;").replace(/>/g, "#62;").replace(/"/g, "#quot;")
+    .replace(/\|/g, "#124;");
+
+  const lines = ["flowchart LR"];
+  for (const n of nodes) {
+    const detail = [n.cardType, n.stack].filter(Boolean).map(label).join(" · ");
+    const title = label(n.title || n.slug);
+    lines.push(`  ${ids.get(n.slug)}["${detail ? `${title}<br/><small>${detail}</small>` : title}"]`);
+  }
+  for (const e of edges) {
+    lines.push(`  ${ids.get(e.from)} -->|${label(e.relation)}| ${ids.get(e.to)}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serialise a graph in one of EXPORT_FORMATS.
+ * @param {{nodes: object[], edges: object[]}} graph
+ * @param {string} format
+ * @param {object} [meta] — extra top-level fields for JSON (workspace, from, exportedAt)
+ * @returns {string}
+ */
+function formatGraph(graph, format, meta = {}) {
+  switch (format) {
+    case "json": return toJSON(graph, meta);
+    case "jsonl": return toJSONL(graph);
+    case "graphml": return toGraphML(graph);
+    case "dot": return toDot(graph);
+    case "mermaid": return toMermaid(graph);
+    default:
+      throw new Error(`Unknown format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+}
+
+export { formatGraph, edgesFromCards, EXPORT_FORMATS };
@@ -0,0 +1,134 @@
+/**
+ * hyperstack-core — card file parsing for bulk import
+ *
+ * Turns JSON, JSONL or CSV into card objects ready for storeMany().
+ *
+ * CSV columns (header row required, order free):
+ *   slug, title, body, type (or cardType), stack, keywords, links
+ *   keywords — "auth;clerk" (";" or "," separated)
+ *   links    — "auth-api:triggers;alice:decided" (target:relation)
+ */
+
+import { extname } from "path";
+
+const FORMATS = ["json", "jsonl", "csv"];
+
+/**
+ * Guess the format from a file name.
+ * @param {string} file
+ * @returns {"json"|"jsonl"|"csv"|null}
+ */
+function detectFormat(file) {
+  const ext = extname(file).slice(1).toLowerCase();
+  if (ext === "ndjson") return "jsonl";
+  return FORMATS.includes(ext) ? ext : null;
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  return String(value).split(/[;,]/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse "target:relation" strings (or pass through link objects).
+ * @param {string|Array} value
+ * @returns {Array<{target: string, relation: string}>}
+ */
+function parseLinks(value) {
+  return splitList(value).map(l => {
+    if (typeof l !== "string") return l;
+    const [target, relation] = l.split(":");
+    return { target: target.trim(), relation: (relation || "related").trim() };
+  });
+}
+
+/** Map loose input (type, string lists) onto the store() card shape. */
+function normalizeCard(raw) {
+  const { type, keywords, links, ...card } = raw;
+  if (!card.cardType && type) card.cardType = type;
+  if (keywords !== undefined) card.keywords = splitList(keywords);
+  if (links !== undefined) card.links = parseLinks(links);
+  for (const key of Object.keys(card)) {
+    if (card[key] === "") delete card[key];
+  }
+  return card;
+}
+
+/**
+ * RFC 4180-style CSV: quoted fields, "" escapes, newlines inside quotes.
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+/**
+ * Parse a card file.
+ * @param {string} text — file contents
+ * @param {"json"|"jsonl"|"csv"} format
+ * @returns {object[]} cards
+ */
+function parseCards(text, format) {
+  if (format === "json") {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : (data.cards || data.starterCards);
+    if (!Array.isArray(list)) throw new Error("JSON must be an array of cards or { cards: [...] }");
+    return list.map(normalizeCard);
+  }
+
+  if (format === "jsonl") {
+    return text.split(/\r?\n/)
+      .map((line, i) => {
+        if (!line.trim()) return null;
+        try {
+          return normalizeCard(JSON.parse(line));
+        } catch (err) {
+          throw new Error(`Line ${i + 1}: ${err.message}`);
+        }
+      })
+      .filter(Boolean);
+  }
+
+  if (format === "csv") {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+    const columns = header.map(h => h.trim());
+    if (!columns.includes("slug")) throw new Error("CSV header must include a slug column");
+    return rows.map(r => normalizeCard(Object.fromEntries(columns.map((c, i) => [c, (r[i] ?? "").trim()]))));
+  }
+
+  throw new Error(`Unknown format "${format}". Use one of: ${FORMATS.join(", ")}`);
+}
+
+export { parseCards, parseLinks, detectFormat, FORMATS };
@@ -0,0 +1,462 @@
+/**
+ * hyperstack-core — local file-backed backend
+ *
+ * Implements the /api/cards, /api/history, /api/search, /api/graph,
+ * /api/feedback and /api/branches semantics of the HyperStack cloud against
+ * a single JSON file, so the client, CLI and OpenClaw adapter work offline
+ * (CI, air-gapped boxes, planes).
+ *
+ * Every write to a card is kept as a version, which is what card history,
+ * revert and `at` time-travel read from.
+ *
+ * Selected by pointing the client at a file:// URL:
+ *   new HyperStackClient({ baseUrl: "file://./.hyperstack/graph.json" });
+ *   export HYPERSTACK_BASE_URL=file://./.hyperstack/graph.json
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from "fs";
+import { resolve, dirname } from "path";
+
+const FILE_PREFIX = "file://";
+const DEFAULT_UTILITY = 0.5;
+const UTILITY_STEP = 0.1;
+
+/**
+ * True when a base URL points at a local graph file instead of a server.
+ * @param {string} [baseUrl]
+ */
+function isLocalBaseUrl(baseUrl) {
+  return typeof baseUrl === "string" && baseUrl.startsWith(FILE_PREFIX);
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function reply(status, data) {
+  return { status, data };
+}
+
+function notFound(message) {
+  return reply(404, { error: message });
+}
+
+function utilityOf(item) {
+  return item.utilityScore ?? DEFAULT_UTILITY;
+}
+
+function byUtility(a, b) {
+  return utilityOf(b) - utilityOf(a);
+}
+
+class LocalBackend {
+  /**
+   * @param {string} baseUrl — file://<path>, relative paths resolve against cwd
+   */
+  constructor(baseUrl) {
+    this.file = resolve(baseUrl.slice(FILE_PREFIX.length));
+  }
+
+  /** @private */
+  _load() {
+    if (!existsSync(this.file)) return { version: 1, workspaces: {} };
+    return JSON.parse(readFileSync(this.file, "utf-8"));
+  }
+
+  /** @private */
+  _save(db) {
+    const dir = dirname(this.file);
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    // Write-then-rename so a crashed write never leaves a truncated graph
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(db, null, 2));
+    renameSync(tmp, this.file);
+  }
+
+  /** @private */
+  _workspace(db, slug) {
+    if (!db.workspaces[slug]) db.workspaces[slug] = { cards: {} };
+    return db.workspaces[slug];
+  }
+
+  /**
+   * Handle one API call the way the cloud would.
+   * @param {string} method
+   * @param {string} path — path + query, e.g. "/api/cards?workspace=default"
+   * @param {object} [body]
+   * @returns {{status: number, data: object}}
+   */
+  request(method, path, body = null) {
+    const url = new URL(path, "http://local");
+    const q = Object.fromEntries(url.searchParams);
+    const db = this._load();
+    const ws = this._workspace(db, q.workspace || "default");
+
+    switch (`${method} ${url.pathname}`) {
+      case "GET /api/cards":
+        return q.id ? this._get(ws, q.id) : this._list(ws, q);
+      case "GET /api/history":
+        return this._history(ws, q.id);
+      case "POST /api/cards": {
+        const result = this._store(ws, body || {});
+        if (result.status < 400) this._save(db);
+        return result;
+      }
+      case "DELETE /api/cards": {
+        const result = this._delete(ws, q.id);
+        if (result.status < 400) this._save(db);
+        return result;
+      }
+      case "GET /api/search":
+        return this._search(ws, q);
+      case "GET /api/graph":
+        return this._graph(ws, q);
+      case "POST /api/feedback": {
+        const result = this._feedback(ws, body || {});
+        if (result.status < 400) this._save(db);
+        return result;
+      }
+      case "GET /api/branches":
+      case "POST /api/branches": {
+        const result = this._branches(db, q, body || {});
+        if (method === "POST" && result.status < 400) this._save(db);
+        return result;
+      }
+      default:
+        return notFound(`Not supported by the local backend: ${method} ${url.pathname}`);
+    }
+  }
+
+  // ─── Cards ───────────────────────────────────────────
+
+  /**
+   * Filtered, stably ordered (createdAt, slug) pages. The cursor is the
+   * offset of the next page; no limit means everything in one page.
+   * @private
+   */
+  _list(ws, q) {
+    const source = q.at ? this._asOf(ws, Date.parse(q.at)) : ws.cards;
+    const matches = Object.values(source)
+      .filter(c => !q.type || c.cardType === q.type)
+      .filter(c => !q.stack || c.stack === q.stack)
+      .filter(c => !q.agent || c.meta?.agentId === q.agent || (c.keywords || []).includes(`agent:${q.agent}`))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.slug.localeCompare(b.slug));
+
+    const size = parseInt(q.limit, 10) || matches.length;
+    const offset = q.cursor ? parseInt(q.cursor, 10) || 0 : ((parseInt(q.page, 10) || 1) - 1) * size;
+    const cards = matches.slice(offset, offset + size);
+    const nextCursor = offset + size < matches.length ? String(offset + size) : null;
+
+    return reply(200, { cards, count: matches.length, limit: null, plan: "local", nextCursor });
+  }
+
+  /** @private */
+  _get(ws, slug) {
+    const card = ws.cards[slug];
+    return card ? reply(200, { card }) : notFound("Card not found");
+  }
+
+  /** @private */
+  _store(ws, input) {
+    if (!input.slug) return reply(400, { error: "slug required" });
+    if (!input.title) return reply(400, { error: "title required" });
+
+    // verifiedAt is server-set, like the cloud
+    const { verifiedAt, ...card } = input;
+    const existing = ws.cards[card.slug];
+    const timestamp = now();
+    if (card.verifiedBy && card.verifiedBy !== existing?.verifiedBy) card.verifiedAt = timestamp;
+    this._seedHistory(ws, card.slug);
+    ws.cards[card.slug] = {
+      cardType: "general",
+      stack: "general",
+      body: "",
+      keywords: [],
+      links: [],
+      meta: {},
+      ...existing,
+      ...card,
+      createdAt: existing?.createdAt || timestamp,
+      updatedAt: timestamp,
+    };
+    this._addVersion(ws, card.slug, { at: timestamp, card: ws.cards[card.slug] });
+    return reply(200, { slug: card.slug, updated: !!existing });
+  }
+
+  /** @private */
+  _delete(ws, slug) {
+    if (!slug || !ws.cards[slug]) return notFound("Card not found");
+    this._seedHistory(ws, slug);
+    delete ws.cards[slug];
+    this._addVersion(ws, slug, { at: now(), deleted: true });
+    return reply(200, { deleted: true });
+  }
+
+  // ─── History ─────────────────────────────────────────
+
+  /**
+   * Every version of a card, oldest first. A deletion is a version too.
+   * @private
+   */
+  _history(ws, slug) {
+    const versions = ws.history?.[slug];
+    if (versions) return reply(200, { slug, versions });
+    // Written before history was kept: the current card is all there is
+    const card = ws.cards[slug];
+    if (!card) return notFound("Card not found");
+    return reply(200, { slug, versions: [{ version: 1, at: card.updatedAt, card }] });
+  }
+
+  /**
+   * Cards written before history was kept get their current state as
+   * version 1 before it's overwritten.
+   * @private
+   */
+  _seedHistory(ws, slug) {
+    const card = ws.cards[slug];
+    if (card && !ws.history?.[slug]) this._addVersion(ws, slug, { at: card.updatedAt || card.createdAt, card });
+  }
+
+  /** @private */
+  _addVersion(ws, slug, entry) {
+    if (!ws.history) ws.history = {};
+    const versions = ws.history[slug] || (ws.history[slug] = []);
+    if (entry.card) entry = { ...entry, card: JSON.parse(JSON.stringify(entry.card)) };
+    versions.push({ version: versions.length + 1, ...entry });
+  }
+
+  /**
+   * The workspace's cards as they were at a point in time (ms since epoch).
+   * @private
+   */
+  _asOf(ws, at) {
+    const cards = {};
+    const slugs = new Set([...Object.keys(ws.cards), ...Object.keys(ws.history || {})]);
+    for (const slug of slugs) {
+      const versions = ws.history?.[slug];
+      if (!versions) {
+        if (Date.parse(ws.cards[slug].createdAt) <= at) cards[slug] = ws.cards[slug];
+        continue;
+      }
+      const version = versions.filter(v => Date.parse(v.at) <= at).pop();
+      if (version && !version.deleted) cards[slug] = version.card;
+    }
+    return cards;
+  }
+
+  // ─── Search ──────────────────────────────────────────
+
+  /**
+   * Keyword scoring only — there are no embeddings offline.
+   * Exact keyword/slug hits outrank substring hits in title or body.
+   * @private
+   */
+  _search(ws, q) {
+    const terms = (q.q || "").toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return reply(200, { results: [] });
+
+    const scored = [];
+    for (const card of Object.values(ws.cards)) {
+      const keywords = (card.keywords || []).map(k => String(k).toLowerCase());
+      const text = `${card.slug} ${card.title || ""} ${card.body || ""}`.toLowerCase();
+      let score = 0;
+      for (const term of terms) {
+        if (keywords.includes(term) || card.slug === term) score += 3;
+        else if (keywords.some(k => k.includes(term))) score += 2;
+        else if (text.includes(term)) score += 1;
+      }
+      if (score > 0) scored.push({ card, score });
+    }
+
+    if (q.weightBy === "utility") {
+      for (const s of scored) s.score *= 0.5 + utilityOf(s.card);
+    }
+    scored.sort((a, b) => b.score - a.score);
+    if (q.sortBy === "utility") scored.sort((a, b) => byUtility(a.card, b.card));
+    return reply(200, { results: scored.map(s => s.card) });
+  }
+
+  // ─── Graph ───────────────────────────────────────────
+
+  /**
+   * Breadth-first traversal over typed links.
+   * Forward mode follows links in both directions (so "what blocks X" is
+   * answerable from X); impact mode only walks incoming links upstream.
+   * @private
+   */
+  _graph(ws, q) {
+    const root = q.from;
+    const impact = q.mode === "impact";
+    const depth = Math.min(Math.max(parseInt(q.depth, 10) || (impact ? 2 : 1), 1), 3);
+
+    // Time-travel: the graph as it was at `at`
+    const cards = q.at ? this._asOf(ws, Date.parse(q.at)) : ws.cards;
+    if (!root || !cards[root]) return notFound(`Card not found: ${root}`);
+
+    const allEdges = [];
+    for (const card of Object.values(cards)) {
+      for (const link of card.links || []) {
+        if (!link?.target) continue;
+        if (q.relation && link.relation !== q.relation) continue;
+        const edge = { from: card.slug, to: link.target, relation: link.relation || "related" };
+        if (link.utilityScore !== undefined) edge.utilityScore = link.utilityScore;
+        allEdges.push(edge);
+      }
+    }
+    // Highest-value edges are expanded (and listed) first
+    if (q.weightBy === "utility") allEdges.sort(byUtility);
+
+    const typeOk = slug => !q.type || slug === root || cards[slug]?.cardType === q.type;
+    const seen = new Set([root]);
+    const edges = [];
+    let frontier = [root];
+
+    for (let hop = 0; hop < depth && frontier.length; hop++) {
+      const next = [];
+      for (const slug of frontier) {
+        for (const e of allEdges) {
+          let neighbour = null;
+          if (e.to === slug) neighbour = e.from;
+          else if (!impact && e.from === slug) neighbour = e.to;
+          if (neighbour === null) continue;
+          if (cards[neighbour] && !typeOk(neighbour)) continue;
+          if (!edges.includes(e)) edges.push(e);
+          if (!seen.has(neighbour)) {
+            seen.add(neighbour);
+            next.push(neighbour);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const nodes = [...seen]
+      .filter(slug => cards[slug] && !(impact && slug === root))
+      .map(slug => cards[slug]);
+    if (q.sortBy === "utility") nodes.sort(byUtility);
+
+    if (impact) return reply(200, { root, mode: "impact", nodes, edges });
+    return reply(200, { root, nodes, edges });
+  }
+
+  // ─── Feedback ────────────────────────────────────────
+
+  /**
+   * Nudge utility scores of the given cards and their outgoing edges.
+   * @private
+   */
+  _feedback(ws, body) {
+    const slugs = body.cardSlugs || [];
+    if (!slugs.length) return reply(400, { error: "cardSlugs required" });
+    if (!["success", "failure"].includes(body.outcome)) return reply(400, { error: "outcome must be success or failure" });
+
+    const delta = body.outcome === "success" ? UTILITY_STEP : -UTILITY_STEP;
+    const nudge = item => {
+      item.utilityScore = Math.round(Math.min(1, Math.max(0, utilityOf(item) + delta)) * 100) / 100;
+    };
+
+    let cardsAffected = 0;
+    let edgesUpdated = 0;
+    for (const slug of slugs) {
+      const card = ws.cards[slug];
+      if (!card) continue;
+      nudge(card);
+      cardsAffected++;
+      for (const link of card.links || []) {
+        nudge(link);
+        edgesUpdated++;
+      }
+    }
+    return reply(200, { feedback: true, outcome: body.outcome, cardsAffected, edgesUpdated });
+  }
+
+  // ─── Branches ────────────────────────────────────────
+
+  /**
+   * Branches are ordinary workspaces named "<parent>--<branchName>" with a
+   * `branch` marker, so cards can be written to them via ?workspace=.
+   * @private
+   */
+  _branches(db, q, body) {
+    const parentSlug = q.workspace || "default";
+    const parent = this._workspace(db, parentSlug);
+
+    if (q.action === "list") {
+      const branches = Object.entries(db.workspaces)
+        .filter(([, ws]) => ws.branch?.parent === parentSlug)
+        .map(([id, ws]) => ({ branchWorkspaceId: id, branchName: ws.branch.name, forkedAt: ws.branch.forkedAt }));
+      return reply(200, { branches });
+    }
+
+    if (q.action === "fork") {
+      if (!body.branchName) return reply(400, { error: "branchName required" });
+      const id = `${parentSlug}--${body.branchName}`;
+      if (db.workspaces[id]) return reply(409, { error: `Branch already exists: ${id}` });
+      const forkedAt = now();
+      db.workspaces[id] = {
+        cards: JSON.parse(JSON.stringify(parent.cards)),
+        history: JSON.parse(JSON.stringify(parent.history || {})),
+        branch: { parent: parentSlug, name: body.branchName, forkedAt },
+      };
+      return reply(200, {
+        branchWorkspaceId: id,
+        branchName: body.branchName,
+        cardsCopied: Object.keys(parent.cards).length,
+        forkedAt,
+      });
+    }
+
+    const id = q.branch || body.branchWorkspaceId;
+    const branch = db.workspaces[id];
+    if (!branch?.branch || branch.branch.parent !== parentSlug) {
+      return notFound(`Branch not found: ${id}`);
+    }
+    const changes = diffWorkspaces(parent.cards, branch.cards);
+
+    if (q.action === "diff") return reply(200, changes);
+
+    if (q.action === "merge") {
+      const strategy = body.strategy || "branch-wins";
+      const incoming = strategy === "branch-wins" ? [...changes.added, ...changes.modified] : changes.added;
+      for (const card of incoming) {
+        this._seedHistory(parent, card.slug);
+        parent.cards[card.slug] = { ...card, updatedAt: now() };
+        this._addVersion(parent, card.slug, { at: parent.cards[card.slug].updatedAt, card: parent.cards[card.slug] });
+      }
+      return reply(200, {
+        merged: incoming.length,
+        conflicts: strategy === "branch-wins" ? 0 : changes.modified.length,
+        strategy,
+      });
+    }
+
+    if (q.action === "discard") {
+      delete db.workspaces[id];
+      return reply(200, { discarded: true, branchWorkspaceId: id, parentSlug });
+    }
+
+    return reply(400, { error: `Unknown branch action: ${q.action}` });
+  }
+}
+
+/** Content equality for cards, ignoring timestamps. */
+function sameCard(a, b) {
+  const strip = ({ createdAt, updatedAt, ...rest }) => rest;
+  return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+}
+
+function diffWorkspaces(parentCards, branchCards) {
+  const added = [];
+  const modified = [];
+  const removed = [];
+  for (const [slug, card] of Object.entries(branchCards)) {
+    if (!parentCards[slug]) added.push(card);
+    else if (!sameCard(parentCards[slug], card)) modified.push(card);
+  }
+  for (const [slug, card] of Object.entries(parentCards)) {
+    if (!branchCards[slug]) removed.push(card);
+  }
+  return { added, modified, removed };
+}
+
+export { LocalBackend, isLocalBaseUrl };
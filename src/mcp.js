@@ -0,0 +1,132 @@
+/**
+ * hyperstack-core — MCP stdio server
+ *
+ * Serves the OpenClaw adapter's tools over the Model Context Protocol so
+ * Claude Desktop, Cursor, VS Code and other MCP clients can use them:
+ *
+ *   { "command": "npx", "args": ["-y", "hyperstack-core", "mcp"] }
+ *
+ * Transport is JSON-RPC 2.0, one message per line on stdin/stdout.
+ * stdout carries protocol messages only; diagnostics go to stderr.
+ */
+
+import { createInterface } from "readline";
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const PKG = JSON.parse(readFileSync(resolve(dirname(fileURLToPath(import.meta.url)), "..", "package.json"), "utf-8"));
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+/**
+ * Create a transport-independent MCP server around an adapter.
+ * Tools are listed with the adapter's own `description` and `parameters`.
+ * @param {{tools: object}} adapter — from createOpenClawAdapter()
+ * @returns {{handle: (message: object) => Promise<object|null>, tools: object[]}}
+ */
+function createMcpServer(adapter) {
+  const tools = Object.entries(adapter.tools)
+    .filter(([, tool]) => tool.parameters)
+    .map(([name, tool]) => ({ name, description: tool.description, inputSchema: tool.parameters }));
+
+  const methods = {
+    initialize(params = {}) {
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {} },
+        serverInfo: { name: PKG.name, version: PKG.version },
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    "tools/list"() {
+      return { tools };
+    },
+
+    async "tools/call"(params = {}) {
+      const { name, arguments: args = {} } = params;
+      if (!tools.some(t => t.name === name)) {
+        throw Object.assign(new Error(`Unknown tool: ${name}`), { code: INVALID_PARAMS });
+      }
+      // Tool failures are results, not protocol errors, so the model sees them
+      const { ok, text, ...data } = await adapter.tools[name](args);
+      return {
+        content: [{ type: "text", text: text ?? JSON.stringify(data, null, 2) }],
+        isError: !ok,
+      };
+    },
+  };
+
+  /**
+   * Handle one JSON-RPC message. Returns the response, or null for
+   * notifications.
+   */
+  async function handle(message) {
+    if (!message || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      return { jsonrpc: "2.0", id: message?.id ?? null, error: { code: INVALID_REQUEST, message: "Invalid request" } };
+    }
+    const { id, method, params } = message;
+    const isNotification = id === undefined;
+
+    if (!methods[method]) {
+      if (isNotification) return null;
+      return { jsonrpc: "2.0", id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${method}` } };
+    }
+    try {
+      const result = await methods[method](params);
+      return isNotification ? null : { jsonrpc: "2.0", id, result };
+    } catch (err) {
+      if (isNotification) return null;
+      return { jsonrpc: "2.0", id, error: { code: err.code ?? -32603, message: err.message } };
+    }
+  }
+
+  return { handle, tools };
+}
+
+/**
+ * Serve an adapter over newline-delimited JSON-RPC on stdio.
+ * Resolves when the input stream closes and in-flight calls finish.
+ * @param {{tools: object}} adapter
+ * @param {object} [opts]
+ * @param {NodeJS.ReadableStream} [opts.input=process.stdin]
+ * @param {NodeJS.WritableStream} [opts.output=process.stdout]
+ * @returns {Promise<void>}
+ */
+async function serveStdio(adapter, opts = {}) {
+  const { input = process.stdin, output = process.stdout } = opts;
+  const server = createMcpServer(adapter);
+  const pending = new Set();
+  const send = message => output.write(JSON.stringify(message) + "\n");
+
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send({ jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: "Parse error" } });
+      continue;
+    }
+    // Calls run concurrently; responses are matched by id
+    const task = server.handle(message).then(response => {
+      if (response) send(response);
+    });
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  }
+  await Promise.all(pending);
+}
+
+export { createMcpServer, serveStdio };
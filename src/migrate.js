@@ -0,0 +1,229 @@
+/**
+ * hyperstack-core — GOALS.md / DECISIONS.md migration
+ *
+ * Parses the markdown files agents used to coordinate through into typed
+ * cards from the openclaw-multiagent template:
+ *
+ *   GOALS.md      headings → goal cards, bullets → task cards (subtask_of),
+ *                 "- [ ]" / "- [x]" → status todo / done
+ *   DECISIONS.md  headings or "- 2026-02-15: Use Clerk (coder-agent)" bullets
+ *                 → decision cards, indented lines → rationale
+ *
+ * Inline phrases become typed links: "blocked by X", "blocks X",
+ * "depends on X", "decided by X". References are matched against the
+ * other migrated cards by slug or title.
+ */
+
+import { basename } from "path";
+
+const PHRASES = [
+  { pattern: /\bblocked by\b/i, relation: "blocked_by" },
+  { pattern: /\bdepends on\b/i, relation: "depends_on" },
+  { pattern: /\bdecided by\b/i, relation: "decided" },
+  { pattern: /\bblocks\b/i, relation: "blocks" },
+];
+// Also swallows a leading ", " / " and " so the remaining title reads cleanly
+const PHRASE_RE = /[,;]?\s*(?:\band\s+)?\b(blocked by|depends on|decided by|blocks)\s+([^,;()]+?)(?=\s*(?:[,;()]|\band\b|\.(?:\s|$)|$))/gi;
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})\s*[:—–-]\s*/;
+const TRAILING_AGENT = /\s*\(([\w .-]+)\)\s*$/;
+const DOC_TITLE = /^(goals|decisions)(\.md)?$/i;
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[`*_[\]]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/, "");
+}
+
+function cleanRef(text) {
+  return text.trim().replace(/^the\s+/i, "").replace(/^[[`]+|[\]`]+$/g, "").trim();
+}
+
+/**
+ * Pull relation phrases out of a line.
+ * @returns {{text: string, refs: Array<{relation: string, ref: string}>}}
+ */
+function extractRefs(line) {
+  const refs = [];
+  const text = line.replace(PHRASE_RE, (_, phrase, ref) => {
+    const { relation } = PHRASES.find(p => p.pattern.test(phrase));
+    refs.push({ relation, ref: cleanRef(ref) });
+    return "";
+  });
+  const clean = text
+    .replace(/\(\s*\)/g, "")
+    .replace(/\s{2,}/g, " ")
+    .replace(/^[\s.,;:—–-]+/, "")
+    .replace(/\s*[,;—–-]\s*$/, "")
+    .trim();
+  return { text: clean, refs };
+}
+
+/**
+ * Parse one markdown file.
+ * @param {string} text
+ * @param {string} file — used for mode detection and provenance
+ * @returns {object[]} draft cards (with unresolved `_refs`)
+ */
+function parseMarkdown(text, file) {
+  const name = basename(file);
+  const decisionMode = /decision/i.test(name);
+  const cards = [];
+  const headings = []; // stack of { level, card }
+  const bullets = [];  // stack of { indent, card }
+  let current = null;  // card receiving paragraph / indented text
+
+  const add = (card, lineNo) => {
+    card.keywords = ["migrated", name.toLowerCase()];
+    card.meta = { ...card.meta, source: `${name}:${lineNo}` };
+    card.links = [];
+    cards.push(card);
+    return card;
+  };
+  const appendBody = (card, line) => {
+    const clean = line.replace(/^rationale:\s*/i, "").trim();
+    if (clean) card.body = card.body ? `${card.body} ${clean}` : clean;
+  };
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const lineNo = i + 1;
+    const heading = raw.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = raw.match(/^(\s*)[-*+]\s+(?:\[( |x|X)\]\s+)?(.*)$/);
+
+    if (heading) {
+      const level = heading[1].length;
+      const { text: title, refs } = extractRefs(heading[2].trim());
+      bullets.length = 0;
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      if (level === 1 && DOC_TITLE.test(title.replace(/\s*\(.*\)$/, ""))) {
+        current = null;
+        return;
+      }
+      const card = decisionMode ? decisionCard(title) : { title, cardType: "goal", stack: "projects" };
+      card._refs = refs;
+      if (!decisionMode && headings.length) card._parent = headings[headings.length - 1].card;
+      headings.push({ level, card: add(card, lineNo) });
+      current = card;
+      return;
+    }
+
+    if (bullet) {
+      const indent = bullet[1].replace(/\t/g, "  ").length;
+      const checkbox = bullet[2];
+      const { text: title, refs } = extractRefs(bullet[3].trim());
+      if (!title) return;
+
+      // Under a decision heading, bullets are part of its rationale
+      if (decisionMode && headings.length && !DATE_PREFIX.test(title)) {
+        appendBody(headings[headings.length - 1].card, title);
+        headings[headings.length - 1].card._refs.push(...refs);
+        return;
+      }
+
+      while (bullets.length && bullets[bullets.length - 1].indent >= indent) bullets.pop();
+      let card;
+      if (decisionMode) {
+        card = decisionCard(title);
+      } else {
+        card = { title, cardType: "task", stack: "projects", meta: { status: checkbox && checkbox !== " " ? "done" : "todo" } };
+        const parent = bullets.length ? bullets[bullets.length - 1].card : headings[headings.length - 1]?.card;
+        if (parent) card._parent = parent;
+      }
+      card._refs = refs;
+      bullets.push({ indent, card: add(card, lineNo) });
+      current = card;
+      return;
+    }
+
+    // Paragraph or indented continuation line
+    if (raw.trim() && current) {
+      const { text: line, refs } = extractRefs(raw.trim());
+      appendBody(current, line);
+      current._refs.push(...refs);
+    } else if (!raw.trim() && bullets.length) {
+      // A blank line ends a bullet's continuation text
+      current = headings[headings.length - 1]?.card || null;
+    }
+  });
+
+  return cards;
+}
+
+function decisionCard(line) {
+  let title = line;
+  const meta = {};
+  const refs = [];
+  const date = title.match(DATE_PREFIX);
+  if (date) {
+    meta.decidedAt = new Date(date[1]).toISOString();
+    title = title.slice(date[0].length);
+  }
+  const agent = title.match(TRAILING_AGENT);
+  if (agent) {
+    meta.decidedBy = agent[1].trim();
+    title = title.slice(0, agent.index);
+  }
+  const card = { title: title.trim(), cardType: "decision", stack: "decisions", meta };
+  if (meta.decidedBy) card._decidedBy = `agent-${slugify(meta.decidedBy)}`;
+  card._refs = refs;
+  return card;
+}
+
+/**
+ * Parse several files, assign unique slugs and resolve references into
+ * typed links. A resolved "blocked by X" becomes a `blocks` link on X so
+ * blockers() finds it; unresolved references stay on the card as links to
+ * the slugified text.
+ * @param {Array<{file: string, text: string}>} files
+ * @returns {{cards: object[], unresolved: Array<{slug: string, relation: string, ref: string}>}}
+ */
+function migrateMarkdown(files) {
+  const drafts = files.flatMap(f => parseMarkdown(f.text, f.file));
+
+  const taken = new Set();
+  for (const card of drafts) {
+    const prefix = card.cardType === "decision" ? "" : `${card.cardType}-`;
+    const base = `${prefix}${slugify(card.title)}` || card.cardType;
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    taken.add(slug);
+    card.slug = slug;
+  }
+
+  const resolve = ref => {
+    const wanted = slugify(ref);
+    const lower = ref.toLowerCase();
+    // An exact slug (with or without its type prefix) or title beats a suffix
+    // match, so "the migration" finds task-migration, not task-write-migration
+    return drafts.find(c => c.slug === wanted || c.slug === `${c.cardType}-${wanted}` || c.title.toLowerCase() === lower)
+      || drafts.find(c => c.slug.endsWith(`-${wanted}`));
+  };
+
+  const unresolved = [];
+  for (const card of drafts) {
+    if (card._parent) card.links.push({ target: card._parent.slug, relation: "subtask_of" });
+    if (card._decidedBy) card.links.push({ target: card._decidedBy, relation: "decided" });
+
+    for (const { relation, ref } of card._refs) {
+      const target = resolve(ref);
+      if (relation === "decided" && !target) {
+        card.links.push({ target: `agent-${slugify(ref)}`, relation });
+      } else if (relation === "blocked_by" && target) {
+        target.links.push({ target: card.slug, relation: "blocks" });
+      } else if (target) {
+        card.links.push({ target: target.slug, relation });
+      } else {
+        card.links.push({ target: slugify(ref), relation });
+        unresolved.push({ slug: card.slug, relation, ref });
+      }
+    }
+  }
+
+  const cards = drafts.map(({ _parent, _refs, _decidedBy, ...card }) => card);
+  return { cards, unresolved };
+}
+
+export { migrateMarkdown, parseMarkdown, slugify };
@@ -0,0 +1,127 @@
+/**
+ * hyperstack-core — tool argument validation
+ *
+ * Agent frameworks and LLMs send tool arguments loosely: numbers as
+ * strings, lists as "a,b,c", optional fields as "". This checks arguments
+ * against a JSON Schema subset and coerces the common cases:
+ *
+ *   "2"      → 2          for number / integer
+ *   "true"   → true       for boolean
+ *   "a, b"   → ["a","b"]  for arrays
+ *   ""       → omitted    for optional fields
+ *
+ * Supported keywords: type, properties, required, items, enum, anyOf,
+ * minimum, maximum, pattern.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Coerce one value, pushing any problems onto `errors`.
+ * @private
+ */
+function coerce(value, schema, path, errors) {
+  if (schema.anyOf) {
+    for (const option of schema.anyOf) {
+      const attempt = [];
+      const result = coerce(value, option, path, attempt);
+      if (!attempt.length) return result;
+    }
+    errors.push(schema.description ? `${path} must be ${schema.description}` : `${path} has an unsupported shape`);
+    return value;
+  }
+
+  let v = value;
+  switch (schema.type) {
+    case "string":
+      if (typeof v === "number" || typeof v === "boolean") v = String(v);
+      if (typeof v !== "string") return fail(errors, path, "a string", value);
+      v = v.trim();
+      if (schema.pattern && !new RegExp(schema.pattern).test(v)) {
+        errors.push(`${path} "${v}" is not in the expected format${schema.description ? ` (${schema.description})` : ""}`);
+      }
+      break;
+    case "number":
+    case "integer":
+      if (typeof v === "string" && v.trim() !== "" && !Number.isNaN(Number(v))) v = Number(v);
+      if (typeof v !== "number" || Number.isNaN(v)) return fail(errors, path, `a ${schema.type}`, value);
+      if (schema.type === "integer" && !Number.isInteger(v)) return fail(errors, path, "a whole number", value);
+      if (schema.minimum !== undefined && v < schema.minimum) errors.push(`${path} must be ≥ ${schema.minimum}`);
+      if (schema.maximum !== undefined && v > schema.maximum) errors.push(`${path} must be ≤ ${schema.maximum}`);
+      break;
+    case "boolean":
+      if (v === "true") v = true;
+      else if (v === "false") v = false;
+      if (typeof v !== "boolean") return fail(errors, path, "true or false", value);
+      break;
+    case "array":
+      if (typeof v === "string") v = v.split(",").map(s => s.trim()).filter(Boolean);
+      if (!Array.isArray(v)) return fail(errors, path, "a list", value);
+      if (schema.items) v = v.map((item, i) => coerce(item, schema.items, `${path}[${i}]`, errors));
+      break;
+    case "object":
+      if (typeOf(v) !== "object") return fail(errors, path, "an object", value);
+      v = coerceObject(v, schema, `${path}.`, errors);
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(v)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(", ")} (got "${v}")`);
+  }
+  return v;
+}
+
+function fail(errors, path, expected, value) {
+  errors.push(`${path} must be ${expected} (got ${typeOf(value)})`);
+  return value;
+}
+
+function coerceObject(obj, schema, prefix, errors) {
+  const out = {};
+  const properties = schema.properties || {};
+  for (const [key, prop] of Object.entries(properties)) {
+    const value = obj[key];
+    if (value === undefined || value === null || value === "") {
+      if (schema.required?.includes(key)) errors.push(`${prefix}${key} is required`);
+      continue;
+    }
+    out[key] = coerce(value, prop, `${prefix}${key}`, errors);
+  }
+  // Required fields that were only whitespace
+  for (const key of schema.required || []) {
+    if (out[key] === "") errors.push(`${prefix}${key} is required`);
+  }
+  return out;
+}
+
+/**
+ * Validate and coerce tool arguments. Unknown keys are dropped.
+ * @param {object} args
+ * @param {object} schema — JSON Schema for an object
+ * @returns {{args: object, errors: string[]}}
+ */
+function coerceArgs(args, schema) {
+  const errors = [];
+  if (args !== undefined && args !== null && typeOf(args) !== "object") {
+    return { args: {}, errors: [`arguments must be an object (got ${typeOf(args)})`] };
+  }
+  return { args: coerceObject(args || {}, schema, "", errors), errors };
+}
+
+/**
+ * Short call signature for hints: `hs_graph({ from, depth?, relation? })`.
+ * @param {string} name
+ * @param {object} schema
+ * @returns {string}
+ */
+function signature(name, schema) {
+  const keys = Object.keys(schema.properties || {})
+    .map(key => (schema.required?.includes(key) ? key : `${key}?`));
+  return keys.length ? `${name}({ ${keys.join(", ")} })` : `${name}()`;
+}
+
+export { coerceArgs, signature };
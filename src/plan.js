@@ -0,0 +1,170 @@
+/**
+ * hyperstack-core — execution planning
+ *
+ * Turns the tasks under a goal into an ordered plan:
+ *
+ *   waves         tasks grouped so everything in a wave can run in parallel
+ *                 once the earlier waves are done
+ *   criticalPath  the longest chain of dependent open tasks (meta.estimate
+ *                 weights a task, default 1)
+ *   ready         open tasks whose prerequisites are all done
+ *
+ * Ordering edges (prerequisite → dependent):
+ *   A depends_on B   B before A
+ *   A blocked_by B   B before A
+ *   A blocks B       A before B
+ *   C subtask_of P   C before P, when P is a task
+ *
+ * Members are the tasks reachable from the goal through incoming
+ * subtask_of links. Prerequisites outside that set (another goal's task,
+ * a blocker card) don't get placed, but hold their dependents until done.
+ */
+
+const DONE_STATUSES = ["done", "cancelled"];
+
+function isDone(card) {
+  if (!card) return false;
+  if (DONE_STATUSES.includes(card.meta?.status)) return true;
+  // Blocker cards are cleared by resolving them
+  return card.cardType === "blocker" && !!(card.meta?.resolvedAt || card.meta?.resolvedBy);
+}
+
+function weight(card) {
+  const estimate = Number(card.meta?.estimate);
+  return estimate > 0 ? estimate : 1;
+}
+
+function summary(card) {
+  return {
+    slug: card.slug,
+    title: card.title,
+    status: card.meta?.status || "todo",
+    assignee: card.meta?.assignee || null,
+  };
+}
+
+/**
+ * Prerequisite edges between any two cards, as a Map of
+ * dependent slug → Set of prerequisite slugs.
+ * @private
+ */
+function prerequisites(cards, bySlug) {
+  const before = new Map();
+  const add = (dependent, prereq) => {
+    if (dependent === prereq) return;
+    if (!before.has(dependent)) before.set(dependent, new Set());
+    before.get(dependent).add(prereq);
+  };
+  for (const card of cards) {
+    for (const link of card.links || []) {
+      if (link.relation === "depends_on" || link.relation === "blocked_by") add(card.slug, link.target);
+      else if (link.relation === "blocks") add(link.target, card.slug);
+      else if (link.relation === "subtask_of" && bySlug.get(link.target)?.cardType === "task") add(link.target, card.slug);
+    }
+  }
+  return before;
+}
+
+/**
+ * Build an execution plan for a goal (or a parent task).
+ * @param {string} goalSlug
+ * @param {object[]} cards — the whole workspace
+ * @returns {{goal: object, waves: object[][], criticalPath: string[], ready: object[], inProgress: object[], done: object[], cycles: string[]}}
+ */
+function buildPlan(goalSlug, cards) {
+  const bySlug = new Map(cards.map(c => [c.slug, c]));
+  const goal = bySlug.get(goalSlug);
+  if (!goal) throw new Error(`Card not found: ${goalSlug}`);
+
+  // Everything under the goal via subtask_of, at any depth
+  const children = new Map();
+  for (const card of cards) {
+    for (const link of card.links || []) {
+      if (link.relation !== "subtask_of") continue;
+      if (!children.has(link.target)) children.set(link.target, []);
+      children.get(link.target).push(card);
+    }
+  }
+  const members = new Map();
+  const queue = [goalSlug];
+  while (queue.length) {
+    for (const child of children.get(queue.shift()) || []) {
+      if (members.has(child.slug) || child.slug === goalSlug) continue;
+      if (child.cardType === "task") members.set(child.slug, child);
+      queue.push(child.slug);
+    }
+  }
+
+  const before = prerequisites(cards, bySlug);
+  const done = [...members.values()].filter(isDone);
+  const open = [...members.values()].filter(c => !isDone(c));
+  const openSlugs = new Set(open.map(c => c.slug));
+
+  const waitingOn = card => [...(before.get(card.slug) || [])]
+    .filter(slug => !isDone(bySlug.get(slug)));
+
+  // Kahn's algorithm, one wave per round
+  const remaining = new Map(open.map(c => [c.slug, waitingOn(c).filter(s => openSlugs.has(s)).length]));
+  const dependents = new Map();
+  for (const card of open) {
+    for (const prereq of waitingOn(card)) {
+      if (!openSlugs.has(prereq)) continue;
+      if (!dependents.has(prereq)) dependents.set(prereq, []);
+      dependents.get(prereq).push(card.slug);
+    }
+  }
+
+  const waves = [];
+  const order = [];
+  let wave = open.filter(c => remaining.get(c.slug) === 0).map(c => c.slug);
+  while (wave.length) {
+    wave.sort();
+    waves.push(wave);
+    order.push(...wave);
+    const next = [];
+    for (const slug of wave) {
+      for (const dependent of dependents.get(slug) || []) {
+        remaining.set(dependent, remaining.get(dependent) - 1);
+        if (remaining.get(dependent) === 0) next.push(dependent);
+      }
+    }
+    wave = next;
+  }
+  const placed = new Set(order);
+  const cycles = open.map(c => c.slug).filter(slug => !placed.has(slug)).sort();
+
+  // Longest weighted chain through the placed tasks
+  const best = new Map();
+  for (const slug of order) {
+    const card = bySlug.get(slug);
+    let prev = null;
+    for (const prereq of waitingOn(card)) {
+      if (best.has(prereq) && (!prev || best.get(prereq).length > best.get(prev).length)) prev = prereq;
+    }
+    best.set(slug, { length: weight(card) + (prev ? best.get(prev).length : 0), prev });
+  }
+  let end = null;
+  for (const [slug, entry] of best) {
+    if (!end || entry.length > best.get(end).length) end = slug;
+  }
+  const criticalPath = [];
+  for (let slug = end; slug; slug = best.get(slug).prev) criticalPath.unshift(slug);
+
+  const item = slug => {
+    const card = bySlug.get(slug);
+    return { ...summary(card), waitingOn: waitingOn(card) };
+  };
+  const openItems = order.map(item);
+
+  return {
+    goal: { slug: goal.slug, title: goal.title, cardType: goal.cardType },
+    waves: waves.map(w => w.map(item)),
+    criticalPath,
+    ready: openItems.filter(t => !t.waitingOn.length && t.status !== "in-progress"),
+    inProgress: openItems.filter(t => t.status === "in-progress"),
+    done: done.map(summary),
+    cycles,
+  };
+}
+
+export { buildPlan, isDone };
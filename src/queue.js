@@ -0,0 +1,56 @@
+/**
+ * hyperstack-core — offline write queue
+ *
+ * When `offlineQueue` is on and a card write can't reach the server, the
+ * client records it here instead of failing. `client.flush()` (or
+ * `hyperstack-core sync`) replays the queue in order later.
+ *
+ * One JSON file per workspace under ~/.hyperstack/queue, so writes queued
+ * by one process can be synced by another.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, rmSync } from "fs";
+import { join } from "path";
+import { homedir } from "os";
+
+const DEFAULT_QUEUE_DIR = join(homedir(), ".hyperstack", "queue");
+
+class OfflineQueue {
+  /**
+   * @param {object} opts
+   * @param {string} opts.scope — from scopeKey(), one file per scope
+   * @param {string} [opts.dir=~/.hyperstack/queue]
+   */
+  constructor(opts) {
+    this.dir = opts.dir || DEFAULT_QUEUE_DIR;
+    this.file = join(this.dir, `${opts.scope}.json`);
+  }
+
+  /**
+   * Queued writes, oldest first.
+   * @returns {Array<{method: string, path: string, body: object|null, slug: string, queuedAt: string}>}
+   */
+  list() {
+    if (!existsSync(this.file)) return [];
+    return JSON.parse(readFileSync(this.file, "utf-8"));
+  }
+
+  /** Append one write. */
+  push(entry) {
+    this.replace([...this.list(), entry]);
+  }
+
+  /** Overwrite the queue (an empty list removes the file). */
+  replace(entries) {
+    if (!entries.length) {
+      rmSync(this.file, { force: true });
+      return;
+    }
+    mkdirSync(this.dir, { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(entries, null, 2));
+    renameSync(tmp, this.file);
+  }
+}
+
+export { OfflineQueue };
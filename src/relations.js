@@ -0,0 +1,74 @@
+/**
+ * hyperstack-core — inverse relations
+ *
+ * Some relations state the same fact from either end:
+ *
+ *   A blocks B        ⇔  B blocked_by A
+ *   A assigned_to B   ⇔  B owns A
+ *
+ * The first of each pair is canonical. Reads normalise edges to it, so
+ * a `blocked_by` link is found by anything looking for `blocks`.
+ */
+
+const INVERSE_PAIRS = [
+  ["blocks", "blocked_by"],
+  ["assigned_to", "owns"],
+];
+
+const INVERSES = new Map(INVERSE_PAIRS.flatMap(([a, b]) => [[a, b], [b, a]]));
+const CANONICAL = new Map(INVERSE_PAIRS.flatMap(([a, b]) => [[a, a], [b, a]]));
+
+/**
+ * The inverse of a relation, or null if it has none.
+ * @param {string} relation
+ * @returns {string|null}
+ */
+function inverseOf(relation) {
+  return INVERSES.get(relation) || null;
+}
+
+/**
+ * True for the non-canonical half of a pair (blocked_by, owns).
+ * @param {string} relation
+ */
+function isInverse(relation) {
+  return CANONICAL.has(relation) && CANONICAL.get(relation) !== relation;
+}
+
+/**
+ * A relation plus its inverse, for filtering.
+ * @param {string} relation
+ * @returns {string[]}
+ */
+function withInverse(relation) {
+  const inverse = inverseOf(relation);
+  return inverse ? [relation, inverse] : [relation];
+}
+
+/**
+ * Rewrite an edge in canonical direction. Flipped edges keep the relation
+ * they were stored under in `storedAs`.
+ * @param {{from: string, to: string, relation: string}} edge
+ * @returns {{from: string, to: string, relation: string, storedAs?: string}}
+ */
+function canonicalEdge(edge) {
+  if (!isInverse(edge.relation)) return edge;
+  return { ...edge, from: edge.to, to: edge.from, relation: CANONICAL.get(edge.relation), storedAs: edge.relation };
+}
+
+/**
+ * Canonicalise edges and drop duplicates (a fact stored from both ends).
+ * @param {object[]} edges
+ * @returns {object[]}
+ */
+function normalizeEdges(edges) {
+  const seen = new Map();
+  for (const edge of edges.map(canonicalEdge)) {
+    const key = `${edge.from}\u0000${edge.relation}\u0000${edge.to}`;
+    // Prefer the copy stored in canonical form
+    if (!seen.has(key) || (seen.get(key).storedAs && !edge.storedAs)) seen.set(key, edge);
+  }
+  return [...seen.values()];
+}
+
+export { INVERSE_PAIRS, inverseOf, isInverse, withInverse, canonicalEdge, normalizeEdges };
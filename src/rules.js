@@ -0,0 +1,307 @@
+/**
+ * hyperstack-core — template rules engine
+ *
+ * Template rules carry a JavaScript-looking `when` condition:
+ *
+ *   "card.cardType === 'task' && card.incomingLinks.some(l => l.relation === 'blocks')"
+ *
+ * This module parses that small expression language itself and evaluates it
+ * against plain data — no eval, no Function, no access to globals or
+ * prototypes. Supported: literals, `card` and arrow parameters, property
+ * access, ! && || === !== == != < > <= >=, parentheses, and a whitelist of
+ * array/string methods (some, every, filter, find, includes, startsWith,
+ * endsWith, toLowerCase, trim) plus `.length`.
+ *
+ * Each card is evaluated with its outgoing `links` and its `incomingLinks`
+ * ({ from, relation }) computed from the rest of the workspace.
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { resolve, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { projectRoot } from "./config.js";
+import { normalizeEdges } from "./relations.js";
+
+const TEMPLATES_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "..", "templates");
+const DEFAULT_TEMPLATE = "openclaw-multiagent";
+
+const ARRAY_METHODS = new Set(["some", "every", "filter", "find", "includes"]);
+const STRING_METHODS = new Set(["includes", "startsWith", "endsWith", "toLowerCase", "trim"]);
+const BLOCKED_PROPS = new Set(["__proto__", "constructor", "prototype"]);
+
+// ─── Tokenizer ───────────────────────────────────────
+
+const TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|=>|&&|\|\||[!<>().,[\]]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_RE.lastIndex))) break;
+    const at = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(source);
+    if (!m) throw new Error(`Unexpected character at ${at}: "${source.slice(at).trim().slice(0, 10)}"`);
+    if (m[1] !== undefined) tokens.push({ type: "num", value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: "str", value: m[2].slice(1, -1).replace(/\\(.)/g, "$1") });
+    else if (m[3] !== undefined) tokens.push({ type: "id", value: m[3] });
+    else tokens.push({ type: "op", value: m[4] });
+  }
+  return tokens;
+}
+
+// ─── Parser (recursive descent → AST) ────────────────
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isOp = (value, offset = 0) => peek(offset)?.type === "op" && peek(offset).value === value;
+  const expect = value => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" but found "${peek()?.value ?? "end of rule"}"`);
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (peek()?.type === "op" && ops.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  function expression() {
+    // Arrow functions: `l => ...` or `(l) => ...`
+    if (peek()?.type === "id" && isOp("=>", 1)) {
+      const param = tokens[pos].value;
+      pos += 2;
+      return { type: "arrow", param, body: expression() };
+    }
+    if (isOp("(") && peek(1)?.type === "id" && isOp(")", 2) && isOp("=>", 3)) {
+      const param = tokens[pos + 1].value;
+      pos += 4;
+      return { type: "arrow", param, body: expression() };
+    }
+    return or();
+  }
+
+  const unary = () => {
+    if (isOp("!")) {
+      pos++;
+      return { type: "not", arg: unary() };
+    }
+    return postfix();
+  };
+  const relational = binary(unary, ["<", ">", "<=", ">="]);
+  const equality = binary(relational, ["===", "!==", "==", "!="]);
+  const and = binary(equality, ["&&"]);
+  const or = binary(and, ["||"]);
+
+  function postfix() {
+    let node = primary();
+    for (;;) {
+      if (isOp(".")) {
+        pos++;
+        const name = peek();
+        if (name?.type !== "id") throw new Error("Expected property name after \".\"");
+        pos++;
+        node = { type: "member", object: node, property: { type: "lit", value: name.value } };
+      } else if (isOp("[")) {
+        pos++;
+        const property = expression();
+        expect("]");
+        node = { type: "member", object: node, property };
+      } else if (isOp("(")) {
+        if (node.type !== "member") throw new Error("Only methods can be called");
+        pos++;
+        const args = [];
+        while (!isOp(")")) {
+          args.push(expression());
+          if (!isOp(")")) expect(",");
+        }
+        pos++;
+        node = { type: "call", callee: node, args };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function primary() {
+    const t = peek();
+    if (!t) throw new Error("Unexpected end of rule");
+    pos++;
+    if (t.type === "num" || t.type === "str") return { type: "lit", value: t.value };
+    if (t.type === "id") {
+      if (t.value === "true") return { type: "lit", value: true };
+      if (t.value === "false") return { type: "lit", value: false };
+      if (t.value === "null") return { type: "lit", value: null };
+      if (t.value === "undefined") return { type: "lit", value: undefined };
+      return { type: "var", name: t.value };
+    }
+    if (t.value === "(") {
+      const node = expression();
+      expect(")");
+      return node;
+    }
+    throw new Error(`Unexpected "${t.value}"`);
+  }
+
+  const ast = expression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return ast;
+}
+
+// ─── Evaluator ───────────────────────────────────────
+
+function getProperty(object, key) {
+  if (object === null || object === undefined) return undefined;
+  if (typeof key !== "string" && typeof key !== "number") return undefined;
+  if (BLOCKED_PROPS.has(key)) return undefined;
+  if (key === "length" && (Array.isArray(object) || typeof object === "string")) return object.length;
+  if (typeof object !== "object" || !Object.prototype.hasOwnProperty.call(object, key)) return undefined;
+  return object[key];
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case "lit":
+      return node.value;
+    case "var":
+      if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+        throw new Error(`Unknown identifier "${node.name}"`);
+      }
+      return scope[node.name];
+    case "not":
+      return !evaluate(node.arg, scope);
+    case "member":
+      return getProperty(evaluate(node.object, scope), evaluate(node.property, scope));
+    case "arrow":
+      return arg => evaluate(node.body, { ...scope, [node.param]: arg });
+    case "call": {
+      const target = evaluate(node.callee.object, scope);
+      const method = evaluate(node.callee.property, scope);
+      const allowed = Array.isArray(target) ? ARRAY_METHODS : typeof target === "string" ? STRING_METHODS : null;
+      if (!allowed?.has(method)) {
+        if (target === undefined || target === null) return undefined;
+        throw new Error(`Method "${method}" is not allowed in rules`);
+      }
+      const args = node.args.map(a => evaluate(a, scope));
+      // Callbacks only ever see the element, never index/array
+      const wrapped = args.map(a => (typeof a === "function" ? x => a(x) : a));
+      return target[method](...wrapped);
+    }
+    case "binary": {
+      if (node.op === "&&") return evaluate(node.left, scope) && evaluate(node.right, scope);
+      if (node.op === "||") return evaluate(node.left, scope) || evaluate(node.right, scope);
+      const l = evaluate(node.left, scope);
+      const r = evaluate(node.right, scope);
+      switch (node.op) {
+        case "===": return l === r;
+        case "!==": return l !== r;
+        case "==": return l == r;
+        case "!=": return l != r;
+        case "<": return l < r;
+        case ">": return l > r;
+        case "<=": return l <= r;
+        case ">=": return l >= r;
+      }
+    }
+  }
+  throw new Error(`Unsupported expression: ${node.type}`);
+}
+
+// ─── Rules ───────────────────────────────────────────
+
+/**
+ * Parse a rule's `when` once, returning a predicate over rule contexts.
+ * @param {{name: string, when: string}} rule
+ * @returns {(card: object) => boolean}
+ */
+function compileRule(rule) {
+  let ast;
+  try {
+    ast = parse(rule.when);
+  } catch (err) {
+    throw new Error(`Rule "${rule.name}": ${err.message}`);
+  }
+  return card => !!evaluate(ast, { card });
+}
+
+/**
+ * Attach `incomingLinks` to every card, from the other cards' links.
+ * Inverse relations are canonicalised as in the client, so a card's own
+ * `blocked_by` link shows up as an incoming `blocks`.
+ * @param {object[]} cards
+ * @returns {object[]} rule contexts
+ */
+function buildContexts(cards) {
+  const edges = cards.flatMap(card => (card.links || [])
+    .filter(link => link?.target)
+    .map(link => ({ from: card.slug, to: link.target, relation: link.relation })));
+  const incoming = new Map();
+  for (const edge of normalizeEdges(edges)) {
+    if (!incoming.has(edge.to)) incoming.set(edge.to, []);
+    incoming.get(edge.to).push({ from: edge.from, relation: edge.relation });
+  }
+  return cards.map(card => ({
+    ...card,
+    cardType: card.cardType || "general",
+    links: card.links || [],
+    incomingLinks: incoming.get(card.slug) || [],
+  }));
+}
+
+/**
+ * Evaluate rules over rule contexts (see buildContexts).
+ * A rule that fails at runtime is reported once as an error, not thrown.
+ * @param {object[]} rules
+ * @param {object[]} contexts
+ * @returns {{violations: Array<{slug: string, rule: string, description: string, suggest: string}>, errors: Array<{rule: string, message: string}>}}
+ */
+function runRules(rules, contexts) {
+  const violations = [];
+  const errors = [];
+  for (const rule of rules) {
+    let test;
+    try {
+      test = compileRule(rule);
+    } catch (err) {
+      errors.push({ rule: rule.name, message: err.message });
+      continue;
+    }
+    for (const card of contexts) {
+      try {
+        if (test(card)) {
+          violations.push({ slug: card.slug, rule: rule.name, description: rule.description, suggest: rule.suggest });
+        }
+      } catch (err) {
+        errors.push({ rule: rule.name, message: `Rule "${rule.name}" on [${card.slug}]: ${err.message}` });
+        break;
+      }
+    }
+  }
+  return { violations, errors };
+}
+
+/**
+ * Rules from .hyperstack/config.json, else from its template, else from
+ * the default template.
+ * @param {string} [dir] — defaults to the nearest project root at or above cwd
+ * @returns {object[]}
+ */
+function loadRules(dir = projectRoot()) {
+  const configFile = join(dir, ".hyperstack", "config.json");
+  let template = DEFAULT_TEMPLATE;
+  if (existsSync(configFile)) {
+    const config = JSON.parse(readFileSync(configFile, "utf-8"));
+    if (Array.isArray(config.rules)) return config.rules;
+    if (config.template) template = config.template;
+  }
+  const templateFile = join(TEMPLATES_DIR, `${template}.json`);
+  if (!existsSync(templateFile)) return [];
+  return JSON.parse(readFileSync(templateFile, "utf-8")).rules || [];
+}
+
+export { compileRule, buildContexts, runRules, loadRules };
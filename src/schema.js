@@ -0,0 +1,160 @@
+/**
+ * hyperstack-core — workspace schema enforcement
+ *
+ * `init` writes the template's cardTypes and relationTypes into
+ * .hyperstack/config.json. With schema mode on, the client checks every
+ * card against them before it is stored:
+ *
+ *   cardType   — a built-in type or one the template defines
+ *   required   — template fields listed in cardTypes[type].required
+ *   statuses   — meta.status must be one of cardTypes[type].statuses
+ *   relations  — every link relation must be in relationTypes
+ *
+ * Template fields live in card.meta (a top-level key is accepted too).
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { resolve, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { SchemaError } from "./errors.js";
+import { projectRoot } from "./config.js";
+
+const TEMPLATES_DIR = resolve(dirname(fileURLToPath(import.meta.url)), "..", "templates");
+
+// Card types the backend accepts regardless of template
+const BUILTIN_CARD_TYPES = [
+  "general", "person", "project", "decision", "preference",
+  "workflow", "event", "account", "signal", "scratchpad",
+];
+
+/**
+ * Levenshtein distance, for "did you mean" suggestions.
+ * @private
+ */
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest allowed value within a small edit distance, or null.
+ * @param {string} value
+ * @param {string[]} allowed
+ */
+function suggest(value, allowed) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const option of allowed) {
+    const d = distance(String(value).toLowerCase(), option.toLowerCase());
+    if (d < bestDistance) { best = option; bestDistance = d; }
+  }
+  return bestDistance <= Math.max(2, Math.floor(String(value).length / 3)) ? best : null;
+}
+
+/**
+ * Normalise a schema-like object ({ cardTypes, relationTypes }).
+ * @param {object} source
+ * @returns {{cardTypes: object, relationTypes: string[]}}
+ */
+function createSchema(source = {}) {
+  const relationTypes = Array.isArray(source.relationTypes)
+    ? source.relationTypes
+    : Object.keys(source.relationTypes || {});
+  return { cardTypes: source.cardTypes || {}, relationTypes };
+}
+
+/**
+ * Load the workspace schema from a project's .hyperstack/config.json,
+ * falling back to the named template when the config only records it.
+ * @param {string} [dir] — directory containing .hyperstack/; defaults to the
+ *   nearest one at or above cwd
+ * @returns {{cardTypes: object, relationTypes: string[]}|null}
+ */
+function loadSchema(dir = projectRoot()) {
+  const configFile = join(dir, ".hyperstack", "config.json");
+  if (!existsSync(configFile)) return null;
+  const config = JSON.parse(readFileSync(configFile, "utf-8"));
+  if (config.cardTypes || config.relationTypes) return createSchema(config);
+
+  const templateFile = join(TEMPLATES_DIR, `${config.template}.json`);
+  if (config.template && existsSync(templateFile)) {
+    return createSchema(JSON.parse(readFileSync(templateFile, "utf-8")));
+  }
+  return null;
+}
+
+/**
+ * Check a card against a schema.
+ * @param {object} card
+ * @param {{cardTypes: object, relationTypes: string[]}} schema
+ * @returns {Array<{field: string, message: string, suggestion?: string}>}
+ */
+function validateCard(card, schema) {
+  const issues = [];
+  const cardType = card.cardType || "general";
+  const knownTypes = [...new Set([...BUILTIN_CARD_TYPES, ...Object.keys(schema.cardTypes)])];
+  const field = name => card.meta?.[name] ?? card[name];
+
+  if (!knownTypes.includes(cardType)) {
+    issues.push({
+      field: "cardType",
+      message: `unknown cardType "${cardType}"`,
+      suggestion: suggest(cardType, knownTypes),
+    });
+  }
+
+  const def = schema.cardTypes[cardType];
+  if (def) {
+    for (const name of def.required || []) {
+      const value = field(name);
+      if (value === undefined || value === null || value === "") {
+        issues.push({ field: `meta.${name}`, message: `${cardType} cards require "${name}"` });
+      }
+    }
+    const status = field("status");
+    if (def.statuses && status !== undefined && !def.statuses.includes(status)) {
+      issues.push({
+        field: "meta.status",
+        message: `"${status}" is not a ${cardType} status (${def.statuses.join(", ")})`,
+        suggestion: suggest(status, def.statuses),
+      });
+    }
+  }
+
+  if (schema.relationTypes.length) {
+    for (const link of card.links || []) {
+      if (!schema.relationTypes.includes(link.relation)) {
+        issues.push({
+          field: "links",
+          message: `unknown relation "${link.relation}" (→ ${link.target})`,
+          suggestion: suggest(link.relation, schema.relationTypes),
+        });
+      }
+    }
+  }
+
+  return issues.map(i => (i.suggestion ? i : { field: i.field, message: i.message }));
+}
+
+/**
+ * Throw a SchemaError listing every issue, if there are any.
+ * @param {object} card
+ * @param {{cardTypes: object, relationTypes: string[]}} schema
+ */
+function assertValidCard(card, schema) {
+  const issues = validateCard(card, schema);
+  if (!issues.length) return;
+  const lines = issues.map(i => `  - ${i.message}${i.suggestion ? ` — did you mean "${i.suggestion}"?` : ""}`);
+  throw new SchemaError(`Card [${card.slug}] doesn't match the workspace schema:\n${lines.join("\n")}`, { issues });
+}
+
+export { loadSchema, createSchema, validateCard, assertValidCard, suggest, BUILTIN_CARD_TYPES };
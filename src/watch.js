@@ -0,0 +1,215 @@
+/**
+ * hyperstack-core — change feed
+ *
+ * `client.watch()` reports what other agents write, as events:
+ *
+ *   card.created   { slug, card }
+ *   card.updated   { slug, card, previous }
+ *   card.deleted   { slug, previous }
+ *   link.added     { slug, link, card }   — slug is the card holding the link
+ *
+ * It reads /api/events when the server has it and otherwise polls the
+ * workspace, diffing each snapshot against the last one.
+ */
+
+import { EventEmitter } from "events";
+import { NotFoundError, NetworkError, RateLimitError } from "./errors.js";
+
+const DEFAULT_INTERVAL = 5000;
+const PAGE_SIZE = 100;
+const EVENT_TYPES = ["card.created", "card.updated", "card.deleted", "link.added"];
+
+function linkKey(link) {
+  return `${link.relation}→${link.target}`;
+}
+
+function agentOf(card) {
+  if (card.meta?.agentId) return card.meta.agentId;
+  const tag = (card.keywords || []).find(k => k.startsWith("agent:"));
+  return tag ? tag.slice("agent:".length) : null;
+}
+
+/** Errors worth retrying on the next tick rather than stopping for. */
+function isTransient(err) {
+  return err instanceof NetworkError || err instanceof RateLimitError || err.status >= 500;
+}
+
+/**
+ * Events for the difference between two snapshots (Map slug → card).
+ * @param {Map<string, object>} before
+ * @param {Map<string, object>} after
+ * @returns {object[]}
+ */
+function diffSnapshots(before, after) {
+  const events = [];
+  const at = new Date().toISOString();
+  for (const [slug, card] of after) {
+    const previous = before.get(slug);
+    if (!previous) {
+      events.push({ type: "card.created", slug, card, at });
+    } else if ((card.updatedAt || JSON.stringify(card)) !== (previous.updatedAt || JSON.stringify(previous))) {
+      events.push({ type: "card.updated", slug, card, previous, at });
+    } else {
+      continue;
+    }
+    const known = new Set((previous?.links || []).map(linkKey));
+    for (const link of card.links || []) {
+      if (!known.has(linkKey(link))) events.push({ type: "link.added", slug, link, card, at });
+    }
+  }
+  for (const [slug, previous] of before) {
+    if (!after.has(slug)) events.push({ type: "card.deleted", slug, previous, at });
+  }
+  return events;
+}
+
+class CardWatcher extends EventEmitter {
+  /**
+   * Use client.watch() rather than constructing this directly.
+   * @param {import("./client.js").HyperStackClient} client
+   * @param {object} [opts] — see HyperStackClient#watch
+   */
+  constructor(client, opts = {}) {
+    super();
+    this.client = client;
+    this.types = opts.types?.length ? opts.types : null;
+    this.agents = opts.agents?.length ? opts.agents : null;
+    this.since = opts.since ? new Date(opts.since).toISOString() : null;
+    this.interval = opts.interval ?? DEFAULT_INTERVAL;
+    this.mode = null; // "stream" or "poll", decided on the first tick
+    this.stopped = false;
+
+    this._cursor = this.since || new Date().toISOString();
+    this._snapshot = null;
+    this._timer = null;
+    this._buffer = [];
+    this._waiting = [];
+    this._failure = null;
+
+    this._tick();
+  }
+
+  /** Stop watching. Pending iterators finish. */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this._timer);
+    for (const { resolve } of this._waiting.splice(0)) resolve({ value: undefined, done: true });
+    this.emit("stop");
+  }
+
+  /**
+   * @example
+   * for await (const event of hs.watch({ types: ["blocker"] })) { ... }
+   */
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this._buffer.length) return Promise.resolve({ value: this._buffer.shift(), done: false });
+        if (this._failure) return Promise.reject(this._failure);
+        if (this.stopped) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+      },
+      return: () => {
+        this.stop();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /** @private */
+  _matches(event) {
+    const card = event.card || event.previous;
+    if (!card) return !this.types && !this.agents;
+    if (this.types && !this.types.includes(card.cardType || "general")) return false;
+    if (this.agents && !this.agents.includes(agentOf(card))) return false;
+    return true;
+  }
+
+  /** @private */
+  _publish(event) {
+    if (!this._matches(event)) return;
+    this.emit(event.type, event);
+    this.emit("event", event);
+    const waiter = this._waiting.shift();
+    if (waiter) waiter.resolve({ value: event, done: false });
+    else this._buffer.push(event);
+  }
+
+  /** @private */
+  async _tick() {
+    try {
+      const events = this.mode === "poll" ? await this._poll() : await this._stream();
+      if (!this.stopped) events.forEach(e => this._publish(e));
+    } catch (err) {
+      if (this.stopped) return;
+      // Transient failures are reported and retried; anything else stops the watcher
+      const fatal = !isTransient(err);
+      if (fatal) {
+        this._failure = err;
+        for (const { reject } of this._waiting.splice(0)) reject(err);
+        this.stop();
+      }
+      if (this.listenerCount("error")) this.emit("error", err);
+      if (fatal) return;
+    }
+    if (!this.stopped) this._timer = setTimeout(() => this._tick(), this.interval);
+  }
+
+  /**
+   * Events since the cursor from /api/events; switches to polling for
+   * good if the server doesn't have the endpoint.
+   * @private
+   */
+  async _stream() {
+    let result;
+    try {
+      result = await this.client._call(
+        "GET",
+        `/api/events?workspace=${this.client.workspace}&since=${encodeURIComponent(this._cursor)}`
+      );
+    } catch (err) {
+      if (!(err instanceof NotFoundError) || this.mode === "stream") throw err;
+      this.mode = "poll";
+      return this._poll();
+    }
+    this.mode = "stream";
+    if (result.cursor) this._cursor = result.cursor;
+    return (result.events || []).filter(e => EVENT_TYPES.includes(e.type));
+  }
+
+  /** @private */
+  async _poll() {
+    // Straight to the API: a cached page would hide changes
+    const snapshot = new Map();
+    let cursor;
+    do {
+      let url = `/api/cards?workspace=${this.client.workspace}&limit=${PAGE_SIZE}`;
+      if (cursor) url += `&cursor=${encodeURIComponent(cursor)}`;
+      const page = await this.client._call("GET", url);
+      for (const card of page.cards || []) snapshot.set(card.slug, card);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    if (!this._snapshot) {
+      // First look: only cards changed after `since` count as news
+      const baseline = new Map();
+      if (this.since) {
+        for (const [slug, card] of snapshot) {
+          if (!card.updatedAt || card.updatedAt <= this.since) baseline.set(slug, card);
+          else if (card.createdAt && card.createdAt <= this.since) baseline.set(slug, { ...card, updatedAt: null });
+        }
+      }
+      this._snapshot = this.since ? baseline : snapshot;
+    }
+
+    const events = diffSnapshots(this._snapshot, snapshot);
+    this._snapshot = snapshot;
+    return events;
+  }
+}
+
+export { CardWatcher, diffSnapshots, EVENT_TYPES };
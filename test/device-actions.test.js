@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { createRequire } from "module";
+
+// backend/auth-device-actions.js is pasted into the server's auth.js, so
+// wrap it the same way: helpers first, then the actions as one handler.
+const SOURCE = readFileSync(new URL("../backend/auth-device-actions.js", import.meta.url), "utf-8");
+const require = createRequire(import.meta.url);
+
+function fakePrisma() {
+  const keys = [];
+  const matches = (key, where) => Object.entries(where).every(([k, v]) => key[k] === v);
+  return {
+    keys,
+    user: { findUnique: async ({ where }) => ({ id: where.id, email: "dev@example.com", name: "Dev", plan: "pro" }) },
+    workspaceMember: {
+      findMany: async () => [{ role: "owner", workspace: { slug: "default", name: "Default" } }],
+    },
+    deviceKey: {
+      create: async ({ data }) => {
+        const key = { id: `k${keys.length + 1}`, createdAt: new Date(), lastUsedAt: null, revokedAt: null, ...data };
+        keys.push(key);
+        return key;
+      },
+      delete: async ({ where }) => keys.splice(keys.findIndex(k => k.id === where.id), 1)[0],
+      findUnique: async ({ where }) => keys.find(k => matches(k, where)) || null,
+      findFirst: async ({ where }) => keys.find(k => matches(k, where)) || null,
+      findMany: async ({ where }) => keys.filter(k => matches(k, where)),
+      update: async ({ where, data }) => Object.assign(keys.find(k => k.id === where.id), data),
+    },
+  };
+}
+
+function loadActions(env = {}) {
+  const cut = SOURCE.indexOf("/*--- ACTION:");
+  const code = SOURCE.slice(0, cut) +
+    "\nreturn { deviceStore: deviceStore, handler: async function (req, res) {\n" +
+    SOURCE.slice(cut) +
+    "\n  return error(res, 'Method not allowed', 405);\n} };";
+  const prisma = fakePrisma();
+  const json = (res, data) => res.status(res.statusCode || 200).json(data);
+  const error = (res, message, status = 400) => res.status(status).json({ error: message });
+  const authenticate = async req => (req.headers.authorization ? { id: "u1" } : null);
+  const { handler, deviceStore } = new Function("require", "process", "json", "error", "authenticate", "prisma", code)(
+    require, { env }, json, error, authenticate, prisma);
+
+  const call = async (action, body = {}, { ip = "10.0.0.1", forwardedFor, auth = true } = {}) => {
+    const headers = {};
+    if (auth) headers.authorization = "Bearer jwt";
+    if (forwardedFor) headers["x-forwarded-for"] = forwardedFor;
+    const res = {
+      headers: {},
+      setHeader(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(data) { this.body = data; return this; },
+    };
+    await handler({ method: "POST", query: { action }, body, headers, socket: { remoteAddress: ip } }, res);
+    return res;
+  };
+  const start = async () => (await call("device-code", { hostname: "laptop" }, { auth: false })).body;
+  return { call, start, prisma, deviceStore };
+}
+
+test("wrong codes are limited per client IP, whatever the client puts in X-Forwarded-For", async () => {
+  const { call } = loadActions({ TRUSTED_PROXY_HOPS: "1" });
+  for (let i = 0; i < 10; i++) {
+    const res = await call("device-approve", { user_code: "AAAA-AAAA" }, { forwardedFor: `1.2.3.${i}, 203.0.113.7` });
+    assert.equal(res.statusCode, 404);
+  }
+  const blocked = await call("device-approve", { user_code: "AAAA-AAAA" }, { forwardedFor: "5.6.7.8, 203.0.113.7" });
+  assert.equal(blocked.statusCode, 429);
+  assert.ok(Number(blocked.headers["Retry-After"]) > 0);
+
+  const other = await call("device-approve", { user_code: "AAAA-AAAA" }, { forwardedFor: "203.0.113.8" });
+  assert.equal(other.statusCode, 404);
+});
+
+test("without trusted proxies X-Forwarded-For is ignored", async () => {
+  const { call } = loadActions();
+  for (let i = 0; i < 10; i++) {
+    await call("device-deny", { user_code: "AAAA-AAAA" }, { forwardedFor: `1.2.3.${i}` });
+  }
+  const res = await call("device-deny", { user_code: "AAAA-AAAA" }, { forwardedFor: "9.9.9.9" });
+  assert.equal(res.statusCode, 429);
+});
+
+test("a code is burned after five approve/deny attempts; lookups don't count", async () => {
+  const { call, start } = loadActions();
+  const { user_code, device_code } = await start();
+
+  for (let i = 0; i < 8; i++) {
+    const info = await call("device-info", { user_code });
+    assert.equal(info.statusCode, 200);
+    assert.equal(info.body.device.hostname, "laptop");
+  }
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await call("device-approve", { user_code, permission: "root" })).statusCode, 400);
+  }
+  assert.equal((await call("device-approve", { user_code })).statusCode, 429);
+
+  const token = await call("device-token", { device_code }, { auth: false });
+  assert.equal(token.statusCode, 403);
+});
+
+test("approve and deny race: the first decision wins", async () => {
+  const { call, start, prisma } = loadActions();
+  const { user_code } = await start();
+
+  const results = await Promise.all([
+    call("device-approve", { user_code }),
+    call("device-deny", { user_code }),
+    call("device-approve", { user_code }),
+  ]);
+  const codes = results.map(r => r.statusCode).sort();
+  assert.deepEqual(codes, [200, 409, 409]);
+  const approvals = results.filter((r, i) => i !== 1 && r.statusCode === 200).length;
+  assert.equal(prisma.keys.length, approvals);
+
+  const lateDeny = await call("device-deny", { user_code });
+  assert.equal(lateDeny.statusCode, 409);
+});
+
+test("the approved key is handed to the CLI exactly once", async () => {
+  const { call, start, prisma } = loadActions();
+  const { user_code, device_code } = await start();
+  assert.equal((await call("device-approve", { user_code, permission: "read" })).statusCode, 200);
+
+  const polls = await Promise.all([
+    call("device-token", { device_code }, { auth: false }),
+    call("device-token", { device_code }, { auth: false }),
+  ]);
+  const granted = polls.filter(p => p.statusCode === 200);
+  assert.equal(granted.length, 1);
+  assert.match(granted[0].body.api_key, /^hs_/);
+  assert.equal(granted[0].body.key_id, prisma.keys[0].id);
+  assert.equal(granted[0].body.permission, "read");
+  assert.notEqual(prisma.keys[0].keyHash, granted[0].body.api_key);
+});
+
+test("a failed key insert releases the code for another try", async () => {
+  const { call, start, prisma } = loadActions();
+  const { user_code } = await start();
+  const create = prisma.deviceKey.create;
+  prisma.deviceKey.create = async () => { throw new Error("database unavailable"); };
+
+  assert.equal((await call("device-approve", { user_code })).statusCode, 500);
+  prisma.deviceKey.create = create;
+  assert.equal((await call("device-approve", { user_code })).statusCode, 200);
+  assert.equal(prisma.keys.length, 1);
+});
+
+test("a failed grant deletes the undelivered key and releases the code", async () => {
+  const { call, start, prisma, deviceStore } = loadActions();
+  const { user_code, device_code } = await start();
+  const grant = deviceStore.grant;
+  deviceStore.grant = async () => { throw new Error("kv unavailable"); };
+
+  assert.equal((await call("device-approve", { user_code })).statusCode, 500);
+  assert.equal(prisma.keys.length, 0);
+  const pending = await call("device-token", { device_code }, { auth: false });
+  assert.equal(pending.statusCode, 428);
+
+  deviceStore.grant = grant;
+  assert.equal((await call("device-approve", { user_code })).statusCode, 200);
+  assert.equal(prisma.keys.length, 1);
+});
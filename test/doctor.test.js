@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkIntegrity } from "../src/doctor.js";
+import { localClient } from "./helpers.js";
+
+const ofType = (issues, type) => issues.filter(i => i.type === type);
+
+test("links to unregistered agents are warnings, and --fix keeps them", () => {
+  const issues = checkIntegrity([
+    {
+      slug: "t-api",
+      cardType: "task",
+      links: [
+        { target: "agent-coder", relation: "assigned_to" },
+        { target: "gone", relation: "depends_on" },
+      ],
+    },
+  ]);
+
+  const [agent] = ofType(issues, "unregistered-agent");
+  assert.equal(agent.severity, "warning");
+  assert.equal(agent.fix, undefined);
+  const [dangling] = ofType(issues, "dangling-link");
+  assert.equal(dangling.severity, "error");
+  assert.deepEqual(dangling.fix.links, [{ target: "agent-coder", relation: "assigned_to" }]);
+});
+
+test("checkIntegrity({ fix: true }) doesn't drop assignments", async t => {
+  const { client, cleanup } = localClient();
+  t.after(cleanup);
+  await client.createTask({ slug: "t-api", title: "Build API", assignee: "coder" });
+  await client.store({ slug: "t-web", title: "Web", links: [{ target: "gone", relation: "depends_on" }] });
+
+  await client.checkIntegrity({ fix: true });
+  assert.deepEqual((await client.get("t-api")).links, [{ target: "agent-coder", relation: "assigned_to" }]);
+  assert.deepEqual((await client.get("t-web")).links, []);
+});
+
+test("a cycle mixing blocks and blocked_by is found; one fact stored twice is not a cycle", () => {
+  // a blocks b, b blocks c, and "a blocked_by c" is c blocks a
+  const mixed = checkIntegrity([
+    { slug: "a", links: [{ target: "b", relation: "blocks" }, { target: "c", relation: "blocked_by" }] },
+    { slug: "b", links: [{ target: "c", relation: "blocks" }] },
+    { slug: "c", links: [] },
+  ]);
+  assert.deepEqual(ofType(mixed, "cycle").map(i => i.cycle), [["a", "b", "c"]]);
+
+  const same = checkIntegrity([
+    { slug: "a", links: [{ target: "b", relation: "blocks" }] },
+    { slug: "b", links: [{ target: "a", relation: "blocked_by" }] },
+  ]);
+  assert.deepEqual(ofType(same, "cycle"), []);
+});
+
+test("cycle detection handles long chains without overflowing the stack", () => {
+  const n = 50000;
+  const cards = Array.from({ length: n }, (_, i) => ({
+    slug: `n${i}`,
+    links: [{ target: `n${(i + 1) % n}`, relation: "depends_on" }],
+  }));
+  const [cycle] = ofType(checkIntegrity(cards), "cycle");
+  assert.equal(cycle.cycle.length, n);
+});
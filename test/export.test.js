@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatGraph, edgesFromCards } from "../src/export.js";
+import { localClient } from "./helpers.js";
+
+test("whole-workspace and --from exports write the same canonical edges", async t => {
+  const { client, cleanup } = localClient();
+  t.after(cleanup);
+  await client.store({ slug: "mig", title: "Migration" });
+  await client.store({ slug: "deploy", title: "Deploy", links: [{ target: "mig", relation: "blocked_by" }] });
+
+  const cards = [];
+  for await (const card of client.iterate()) cards.push(card);
+  const whole = JSON.parse(formatGraph({ nodes: cards, edges: edgesFromCards(cards) }, "json"));
+  const sub = await client.graph("deploy", { depth: 2 });
+  const from = JSON.parse(formatGraph({ nodes: sub.nodes, edges: sub.edges }, "json"));
+
+  assert.deepEqual(whole.edges, [{ from: "mig", to: "deploy", relation: "blocks", storedAs: "blocked_by" }]);
+  assert.deepEqual(from.edges, whole.edges);
+});
+
+test("a fact stored from both ends is exported once", () => {
+  const cards = [
+    { slug: "mig", title: "Migration", links: [{ target: "deploy", relation: "blocks" }] },
+    { slug: "deploy", title: "Deploy", links: [{ target: "mig", relation: "blocked_by" }] },
+  ];
+  const { edges } = JSON.parse(formatGraph({ nodes: cards, edges: edgesFromCards(cards) }, "json"));
+  assert.deepEqual(edges, [{ from: "mig", to: "deploy", relation: "blocks" }]);
+});
+
+test("JSON exports of the same graph are identical unless a timestamp is asked for", () => {
+  const graph = { nodes: [{ slug: "a", title: "A" }], edges: [] };
+  assert.equal(formatGraph(graph, "json", { workspace: "w" }), formatGraph(graph, "json", { workspace: "w" }));
+  assert.equal(JSON.parse(formatGraph(graph, "json")).exportedAt, undefined);
+});
+
+test("Mermaid labels escape characters that are diagram syntax", () => {
+  const out = formatGraph({
+    nodes: [{ slug: "a", title: 'A | "b" <c>' }, { slug: "b", title: "B" }],
+    edges: [{ from: "a", to: "b", relation: "x|y" }],
+  }, "mermaid");
+  assert.match(out, /n0\["A #124; #quot;b#quot; #60;c#62;"\]/);
+  assert.match(out, /-->\|x#124;y\|/);
+});
@@ -0,0 +1,24 @@
+/**
+ * Shared test setup — a client on a throwaway local graph.
+ */
+
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { HyperStackClient } from "../src/client.js";
+
+/**
+ * A client backed by a fresh file:// graph. Explicit options keep the
+ * user's profile, env and any project config out of the test.
+ * @param {object} [opts] — extra client options
+ * @returns {{client: HyperStackClient, cleanup: function}}
+ */
+export function localClient(opts = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "hyperstack-test-"));
+  const client = new HyperStackClient({
+    baseUrl: `file://${join(dir, "graph.json")}`,
+    workspace: "default",
+    ...opts,
+  });
+  return { client, cleanup: () => rmSync(dir, { recursive: true, force: true }) };
+}
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { localClient } from "./helpers.js";
+
+const slugs = result => result.nodes.map(n => n.slug).sort();
+
+// The same fact, "mig blocks deploy", stored from either end
+const FORMS = {
+  "stored on the blocker": [
+    { slug: "deploy", title: "Deploy" },
+    { slug: "mig", title: "Migration", links: [{ target: "deploy", relation: "blocks" }] },
+  ],
+  "stored on the blocked card": [
+    { slug: "mig", title: "Migration" },
+    { slug: "deploy", title: "Deploy", links: [{ target: "mig", relation: "blocked_by" }] },
+  ],
+};
+
+for (const [form, cards] of Object.entries(FORMS)) {
+  test(`impact() is the same whichever card stores the link (${form})`, async t => {
+    const { client, cleanup } = localClient();
+    t.after(cleanup);
+    for (const card of cards) await client.store(card);
+
+    const deploy = await client.impact("deploy");
+    assert.deepEqual(slugs(deploy), ["mig"]);
+    assert.deepEqual(deploy.edges.map(e => [e.from, e.relation, e.to]), [["mig", "blocks", "deploy"]]);
+    assert.deepEqual(slugs(await client.impact("mig")), []);
+
+    assert.deepEqual(slugs(await client.impact("deploy", { relation: "blocks" })), ["mig"]);
+    assert.deepEqual(slugs(await client.impact("deploy", { relation: "blocked_by" })), []);
+    assert.deepEqual(slugs(await client.impact("mig", { relation: "blocked_by" })), ["deploy"]);
+  });
+}
+
+test("impact() walks several hops upstream and keeps other relations", async t => {
+  const { client, cleanup } = localClient();
+  t.after(cleanup);
+  await client.store({ slug: "api", title: "API" });
+  await client.store({ slug: "web", title: "Web", links: [{ target: "api", relation: "depends_on" }] });
+  await client.store({ slug: "mig", title: "Migration", links: [{ target: "web", relation: "blocks" }] });
+  await client.store({ slug: "schema", title: "Schema" });
+  await client.store({ slug: "mig-2", title: "Migration 2", links: [{ target: "schema", relation: "blocked_by" }] });
+
+  assert.deepEqual(slugs(await client.impact("api")), ["mig", "web"]);
+  assert.deepEqual(slugs(await client.impact("api", { depth: 1 })), ["web"]);
+  assert.deepEqual(slugs(await client.impact("api", { relation: "depends_on" })), ["web"]);
+  assert.deepEqual(slugs(await client.impact("mig-2")), ["schema"]);
+});
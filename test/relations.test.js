@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inverseOf, isInverse, canonicalEdge, normalizeEdges } from "../src/relations.js";
+import { localClient } from "./helpers.js";
+
+test("inverse pairs map both ways", () => {
+  assert.equal(inverseOf("blocks"), "blocked_by");
+  assert.equal(inverseOf("owns"), "assigned_to");
+  assert.equal(inverseOf("depends_on"), null);
+  assert.equal(isInverse("blocked_by"), true);
+  assert.equal(isInverse("blocks"), false);
+});
+
+test("canonicalEdge flips inverse edges and records storedAs", () => {
+  assert.deepEqual(canonicalEdge({ from: "deploy", to: "mig", relation: "blocked_by" }),
+    { from: "mig", to: "deploy", relation: "blocks", storedAs: "blocked_by" });
+  const edge = { from: "a", to: "b", relation: "depends_on" };
+  assert.equal(canonicalEdge(edge), edge);
+});
+
+test("normalizeEdges keeps one edge per fact, preferring the canonical copy", () => {
+  const edges = normalizeEdges([
+    { from: "deploy", to: "mig", relation: "blocked_by" },
+    { from: "mig", to: "deploy", relation: "blocks" },
+    { from: "alice", to: "task", relation: "owns" },
+  ]);
+  assert.deepEqual(edges, [
+    { from: "mig", to: "deploy", relation: "blocks" },
+    { from: "task", to: "alice", relation: "assigned_to", storedAs: "owns" },
+  ]);
+});
+
+test('inverseLinks: "write" adds the inverse to the target card', async t => {
+  const { client, cleanup } = localClient({ inverseLinks: "write" });
+  t.after(cleanup);
+  await client.store({ slug: "mig", title: "Migration" });
+  const result = await client.store({ slug: "deploy", title: "Deploy", links: [{ target: "mig", relation: "blocked_by" }] });
+
+  assert.deepEqual(result.inverses, ["mig"]);
+  assert.deepEqual((await client.get("mig")).links, [{ target: "deploy", relation: "blocks" }]);
+  assert.deepEqual((await client.get("deploy")).links, [{ target: "mig", relation: "blocked_by" }]);
+});
+
+test('inverseLinks: "normalize" moves inverse-form links to their target', async t => {
+  const { client, cleanup } = localClient({ inverseLinks: "normalize" });
+  t.after(cleanup);
+  await client.store({ slug: "mig", title: "Migration" });
+  await client.store({ slug: "deploy", title: "Deploy", links: [{ target: "mig", relation: "blocked_by" }] });
+
+  assert.deepEqual((await client.get("mig")).links, [{ target: "deploy", relation: "blocks" }]);
+  assert.deepEqual((await client.get("deploy")).links, []);
+});
+
+test("inverse-form links to cards that don't exist are left as written", async t => {
+  const { client, cleanup } = localClient({ inverseLinks: "normalize" });
+  t.after(cleanup);
+  const result = await client.store({ slug: "deploy", title: "Deploy", links: [{ target: "later", relation: "blocked_by" }] });
+  assert.deepEqual(result.inverses, []);
+  assert.deepEqual((await client.get("deploy")).links, [{ target: "later", relation: "blocked_by" }]);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { buildContexts } from "../src/rules.js";
+import { PlanLimitError } from "../src/errors.js";
+import { localClient } from "./helpers.js";
+
+const { rules } = JSON.parse(readFileSync(new URL("../templates/openclaw-multiagent.json", import.meta.url), "utf-8"));
+const names = violations => violations.map(v => v.rule).sort();
+
+test("buildContexts counts a card's own blocked_by link as an incoming blocks", () => {
+  const [deploy] = buildContexts([{ slug: "deploy", links: [{ target: "mig", relation: "blocked_by" }] }]);
+  assert.deepEqual(deploy.incomingLinks, [{ from: "mig", relation: "blocks" }]);
+});
+
+test("store() warns auto-blocked for a task stored with blocked_by, like lint()", async t => {
+  const { client, cleanup } = localClient({ rules });
+  t.after(cleanup);
+  await client.store({ slug: "mig", title: "Migration", cardType: "task" });
+  const result = await client.store({
+    slug: "deploy",
+    title: "Deploy",
+    cardType: "task",
+    links: [{ target: "mig", relation: "blocked_by" }],
+  });
+
+  assert.ok(names(result.warnings).includes("auto-blocked"));
+  const lint = await client.lint();
+  assert.deepEqual(names(result.warnings), names(lint.violations.filter(v => v.slug === "deploy")));
+});
+
+test("store() warns auto-blocked when the blocker card holds the link", async t => {
+  const { client, cleanup } = localClient({ rules });
+  t.after(cleanup);
+  await client.store({ slug: "deploy", title: "Deploy", cardType: "task" });
+  await client.store({ slug: "mig", title: "Migration", links: [{ target: "deploy", relation: "blocks" }] });
+  const result = await client.store({ slug: "deploy", title: "Deploy", cardType: "task" });
+
+  assert.equal(result.warnings.filter(w => w.rule === "auto-blocked").length, 1);
+});
+
+test("store() keeps the card's own blocked_by links when the plan has no graph access", async t => {
+  const { client, cleanup } = localClient({ rules });
+  t.after(cleanup);
+  client.impact = async () => { throw new PlanLimitError("Graph needs Pro"); };
+  await client.store({ slug: "mig", title: "Migration", cardType: "task" });
+  const result = await client.store({
+    slug: "deploy",
+    title: "Deploy",
+    cardType: "task",
+    links: [{ target: "mig", relation: "blocked_by" }],
+  });
+
+  assert.ok(names(result.warnings).includes("auto-blocked"));
+});